@@ -0,0 +1,237 @@
+/**
+ * Campaign mode for railway simulation
+ * The city grows on its own: new stations appear over time, the player builds from a limited stock of
+ * tracks and trains that is topped up every week, and each week brings the choice of an upgrade.
+ * The run is won by delivering a target number of passengers and lost when a station stays overcrowded.
+ */
+
+import { Station, distance } from './models.js';
+import { DAY_LENGTH } from './clock.js';
+
+// Weekly upgrades the player chooses between, with display names
+export const CAMPAIGN_REWARDS = { train: 'Extra train', capacity: 'Larger trains', speed: 'Faster track' };
+
+export const WEEK_LENGTH = 7 * DAY_LENGTH; // Simulated ms in one week
+export const DEFAULT_TARGET = 50000; // Passengers to deliver to win a campaign
+
+const STARTING_STATIONS = 3; // Stations the city has when a campaign starts
+const STATION_INTERVAL = DAY_LENGTH; // Time between new stations appearing
+const STARTING_STOCK = { tracks: 10, trains: 3 }; // Tracks and trains available at the start
+const WEEKLY_STOCK = { tracks: 8, trains: 1 }; // Tracks and trains added at the start of every week
+const CARRIAGE_CAPACITY = 10; // Passengers each "larger trains" upgrade adds to every train
+const TRACK_SPEED = 200; // Speed limit of new tracks before any "faster track" upgrade (px/s)
+const TRACK_SPEED_STEP = 50; // Speed limit added by each "faster track" upgrade (px/s)
+const MAX_TRACK_SPEED = 300; // Highest speed limit upgrades can reach (px/s)
+
+// Chance of each importance for a new station: mostly local stops, the odd major hub
+const IMPORTANCE_WEIGHTS = [[3, 0.7], [2, 0.25], [1, 0.05]];
+// Chance of each role for a new station
+const ROLE_WEIGHTS = [['residential', 0.45], ['mixed', 0.3], ['business', 0.25]];
+
+const DEFAULT_BOUNDS = { width: 1200, height: 800 }; // Area the city grows in when no view size is given
+const CITY_RADIUS = 200; // Radius around the centre that stations appear within on the first day (px)
+const CITY_GROWTH = 60; // Growth of that radius per day (px)
+const EDGE_MARGIN = 60; // Closest a new station comes to the edge of the area (px)
+const STATION_SPACING = 90; // Closest a new station comes to an existing one (px)
+const SITE_ATTEMPTS = 40; // Random sites tried before giving up on placing a station
+
+/**
+ * Pick a value from [value, weight] pairs with probability proportional to its weight
+ */
+function pickWeighted(rng, weights) {
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = rng.next() * total;
+    for (const [value, weight] of weights) {
+        roll -= weight;
+        if (roll < 0) return value;
+    }
+    return weights[weights.length - 1][0];
+}
+
+/**
+ * Campaign class - grows the city and hands out stock and upgrades week by week
+ *
+ * Stock is counted as what has been granted minus what is built, so removing a track or train
+ * (or undoing its construction) returns it to the stock without any bookkeeping.
+ */
+export class Campaign {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.bounds = { ...(options.bounds || DEFAULT_BOUNDS) }; // Area stations appear in
+        this.target = options.target || DEFAULT_TARGET; // Passengers to deliver to win
+        this.startTime = simulation.clock.now(); // When the campaign began
+        this.week = 1; // Current week, starting from 1
+        this.granted = { ...STARTING_STOCK }; // Tracks and trains received so far
+        this.pendingRewards = 0; // Weekly upgrades not chosen yet
+        this.upgrades = { capacity: 0, speed: 0 }; // Times each global upgrade was chosen
+        this.nextStationTime = this.startTime + STATION_INTERVAL; // When the next station appears
+    }
+    
+    /**
+     * Found the city with its first stations
+     */
+    start() {
+        for (let i = 0; i < STARTING_STATIONS; i++) {
+            this.spawnStation();
+        }
+    }
+    
+    /**
+     * Grow the city, start new weeks and check whether the target has been reached
+     */
+    update() {
+        const now = this.simulation.clock.now();
+        
+        while (now >= this.nextStationTime) {
+            this.spawnStation();
+            this.nextStationTime += STATION_INTERVAL;
+        }
+        
+        const week = Math.floor((now - this.startTime) / WEEK_LENGTH) + 1;
+        while (this.week < week) {
+            this.week++;
+            this.granted.tracks += WEEKLY_STOCK.tracks;
+            this.granted.trains += WEEKLY_STOCK.trains;
+            this.pendingRewards++;
+            this.simulation.emit('campaignWeek', { week: this.week, stock: this.getStock() });
+        }
+        
+        if (this.simulation.getScore() >= this.target) {
+            this.simulation.endGame({ won: true, reason: `${this.target} passengers delivered in week ${this.week}` });
+        }
+    }
+    
+    /**
+     * Add a station at a free site, with a weighted random importance and role
+     * Returns the station, or null if no free site was found
+     */
+    spawnStation() {
+        const site = this.findStationSite();
+        if (!site) return null;
+        
+        const rng = this.simulation.rng;
+        const station = new Station(site.x, site.y, pickWeighted(rng, IMPORTANCE_WEIGHTS), rng);
+        station.role = pickWeighted(rng, ROLE_WEIGHTS);
+        return this.simulation.addStation(station, false);
+    }
+    
+    /**
+     * Find a random site within the city's current radius that is clear of the edges and other stations
+     * Returns { x, y }, or null if every attempt was too crowded
+     */
+    findStationSite() {
+        const { width, height } = this.bounds;
+        const rng = this.simulation.rng;
+        const days = (this.simulation.clock.now() - this.startTime) / DAY_LENGTH;
+        const radius = Math.min(Math.max(width, height) / 2, CITY_RADIUS + CITY_GROWTH * days);
+        
+        for (let attempt = 0; attempt < SITE_ATTEMPTS; attempt++) {
+            // Square root spreads sites evenly over the disc instead of bunching them at the centre
+            const angle = rng.next() * 2 * Math.PI;
+            const reach = radius * Math.sqrt(rng.next());
+            const x = Math.round(width / 2 + Math.cos(angle) * reach);
+            const y = Math.round(height / 2 + Math.sin(angle) * reach);
+            
+            if (x < EDGE_MARGIN || x > width - EDGE_MARGIN || y < EDGE_MARGIN || y > height - EDGE_MARGIN) continue;
+            if (this.simulation.stations.some(s => distance(s.x, s.y, x, y) < STATION_SPACING)) continue;
+            return { x, y };
+        }
+        return null;
+    }
+    
+    /**
+     * Get the tracks and trains left to build
+     */
+    getStock() {
+        return {
+            tracks: this.granted.tracks - this.simulation.tracks.length,
+            trains: this.granted.trains - this.simulation.trains.length
+        };
+    }
+    
+    /**
+     * Get when the next week starts (simulated ms)
+     */
+    getNextWeekTime() {
+        return this.startTime + this.week * WEEK_LENGTH;
+    }
+    
+    /**
+     * Get the passenger capacity of a train, including "larger trains" upgrades
+     */
+    getTrainCapacity(baseCapacity) {
+        return baseCapacity + this.upgrades.capacity * CARRIAGE_CAPACITY;
+    }
+    
+    /**
+     * Get the highest speed limit tracks may have, including "faster track" upgrades
+     */
+    getTrackSpeedLimit() {
+        return Math.min(MAX_TRACK_SPEED, TRACK_SPEED + this.upgrades.speed * TRACK_SPEED_STEP);
+    }
+    
+    /**
+     * Apply one of the weekly upgrades
+     * Returns false if no upgrade is waiting to be chosen; throws if the reward is unknown
+     */
+    chooseReward(reward) {
+        if (!CAMPAIGN_REWARDS[reward]) {
+            throw new Error(`Unknown campaign reward: ${reward}`);
+        }
+        if (this.pendingRewards === 0) return false;
+        
+        this.pendingRewards--;
+        switch (reward) {
+            case 'train':
+                this.granted.trains++;
+                break;
+            case 'capacity':
+                this.upgrades.capacity++;
+                for (const train of this.simulation.trains) {
+                    train.maxCapacity += CARRIAGE_CAPACITY;
+                }
+                break;
+            case 'speed': {
+                // Every track gets faster, keeping slow zones slower than the rest
+                this.upgrades.speed++;
+                const limit = this.getTrackSpeedLimit();
+                for (const track of this.simulation.tracks) {
+                    this.simulation.setTrackSpeedLimit(track, Math.min(limit, track.maxSpeed + TRACK_SPEED_STEP));
+                }
+                break;
+            }
+        }
+        this.simulation.emit('campaignReward', { reward, week: this.week });
+        return true;
+    }
+    
+    /**
+     * Serialize campaign state
+     */
+    toJSON() {
+        return {
+            bounds: { ...this.bounds },
+            target: this.target,
+            startTime: this.startTime,
+            week: this.week,
+            granted: { ...this.granted },
+            pendingRewards: this.pendingRewards,
+            upgrades: { ...this.upgrades },
+            nextStationTime: this.nextStationTime
+        };
+    }
+    
+    /**
+     * Restore a campaign from serialized data
+     */
+    static fromJSON(data, simulation) {
+        const campaign = new Campaign(simulation, { bounds: data.bounds, target: data.target });
+        campaign.startTime = data.startTime;
+        campaign.week = data.week;
+        campaign.granted = { ...data.granted };
+        campaign.pendingRewards = data.pendingRewards;
+        campaign.upgrades = { ...data.upgrades };
+        campaign.nextStationTime = data.nextStationTime;
+        return campaign;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner for headless railway simulation
+ * Loads a saved network, runs it for a number of simulated minutes and prints summary statistics
+ *
+ * Usage: node cli.js <network.json> [--minutes N] [--seed N] [--od matrix.csv] [--survival] [--json]
+ * Requires Node 22 or newer (ES module syntax detection).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { Simulation } from './simulation.js';
+import { SeededRandom } from './random.js';
+import { formatTimeOfDay, formatGameDuration } from './clock.js';
+import { LOST_REASONS } from './models.js';
+import { formatMoney } from './economy.js';
+
+const USAGE = 'Usage: node cli.js <network.json> [--minutes N] [--seed N] [--od matrix.csv] [--survival] [--json]';
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+    const options = { file: null, minutes: 60, seed: null, od: null, survival: false, json: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--minutes':
+                options.minutes = Number(argv[++i]);
+                break;
+            case '--seed':
+                options.seed = Number(argv[++i]);
+                break;
+            case '--od':
+                options.od = argv[++i];
+                break;
+            case '--survival':
+                options.survival = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--') || options.file) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                options.file = arg;
+        }
+    }
+    
+    if (!options.help && !options.file) {
+        throw new Error('Missing network file');
+    }
+    if (!Number.isFinite(options.minutes) || options.minutes < 0) {
+        throw new Error('--minutes must be a non-negative number');
+    }
+    if (options.seed !== null && !Number.isInteger(options.seed)) {
+        throw new Error('--seed must be an integer');
+    }
+    
+    return options;
+}
+
+/**
+ * Run the simulation and collect summary statistics from its event stream
+ */
+function runSimulation(simulation, minutes) {
+    const counts = { spawned: 0, boarded: 0, transferred: 0, delivered: 0, deadlocks: 0, scheduled: 0 };
+    let totalTravelTime = 0;
+    let totalDelay = 0;
+    
+    simulation.on('passengerSpawned', () => counts.spawned++);
+    simulation.on('passengerBoarded', () => counts.boarded++);
+    simulation.on('passengerTransferred', () => counts.transferred++);
+    simulation.on('deadlock', () => counts.deadlocks++);
+    simulation.on('trainDeparted', ({ departure }) => {
+        if (departure) {
+            counts.scheduled++;
+            totalDelay += simulation.timetable.getDelay(departure);
+        }
+    });
+    simulation.on('passengerArrived', ({ passenger }) => {
+        counts.delivered++;
+        totalTravelTime += passenger.getTotalTravelTime();
+    });
+    
+    const startTime = simulation.clock.now();
+    simulation.run(minutes * 60 * 1000);
+    
+    const stats = simulation.getStats();
+    const lostByStation = simulation.stations
+        .map(station => ({ station: station.name, lost: simulation.getLostTrips(station.id).total }))
+        .filter(({ lost }) => lost > 0)
+        .sort((a, b) => b.lost - a.lost);
+    return {
+        // A lost survival run stops the clock early
+        simulatedMinutes: simulation.gameOver ? Number(((simulation.clock.now() - startTime) / 60000).toFixed(1)) : minutes,
+        endTime: `Day ${stats.day}, ${formatTimeOfDay(stats.hourOfDay)}`,
+        seed: stats.seed,
+        stations: stats.stationCount,
+        tracks: simulation.tracks.length,
+        trains: stats.trainCount,
+        passengersSpawned: counts.spawned,
+        boardings: counts.boarded,
+        transfers: counts.transferred,
+        passengersDelivered: counts.delivered,
+        passengersWaiting: simulation.allPassengers.filter(p => p.state === 'waiting').length,
+        passengersOnboard: simulation.allPassengers.filter(p => p.state === 'onboard').length,
+        avgWaitTime: stats.avgWaitTime,
+        lostTrips: stats.lostTrips,
+        lostByStation,
+        avgTransfers: stats.avgTransfers,
+        avgTravelTime: counts.delivered > 0 ? totalTravelTime / counts.delivered / 1000 : 0,
+        deadlocks: counts.deadlocks,
+        balance: stats.balance,
+        money: stats.money,
+        mode: stats.mode,
+        score: stats.score,
+        gameOver: simulation.gameOver,
+        scheduledDepartures: counts.scheduled,
+        avgDepartureDelay: counts.scheduled > 0 ? totalDelay / counts.scheduled / 1000 : 0
+    };
+}
+
+/**
+ * Print summary statistics as aligned text
+ */
+function printSummary(summary) {
+    const rows = [
+        ['Simulated minutes', summary.simulatedMinutes],
+        ['Time of day at end', summary.endTime],
+        ['Seed', summary.seed],
+        ['Stations', summary.stations],
+        ['Tracks', summary.tracks],
+        ['Trains', summary.trains],
+        ['Passengers spawned', summary.passengersSpawned],
+        ['Boardings', summary.boardings],
+        ['Transfers', summary.transfers],
+        ['Passengers delivered', summary.passengersDelivered],
+        ['Passengers waiting', summary.passengersWaiting],
+        ['Passengers onboard', summary.passengersOnboard],
+        ['Average wait time', `${summary.avgWaitTime.toFixed(1)}s`],
+        ['Lost trips', summary.lostTrips.total],
+        ...Object.entries(LOST_REASONS).map(([reason, name]) => [`  ${name.toLowerCase()}`, summary.lostTrips[reason]]),
+        ['Most lost trips at', summary.lostByStation.length > 0
+            ? `${summary.lostByStation[0].station} (${summary.lostByStation[0].lost})`
+            : '-'],
+        ['Average transfers', summary.avgTransfers.toFixed(2)],
+        ['Average travel time', `${summary.avgTravelTime.toFixed(1)}s`],
+        ['Deadlocks', summary.deadlocks],
+        ['Balance', formatMoney(summary.balance)],
+        ['Fare revenue', formatMoney(summary.money.fares)],
+        ['Construction costs', formatMoney(summary.money.construction)],
+        ['Operating costs', formatMoney(summary.money.operations)],
+        ['Mode', summary.mode],
+        ['Score', summary.score],
+        ['Game over', summary.gameOver
+            ? `${summary.gameOver.reason} after ${formatGameDuration(summary.gameOver.survived)}`
+            : 'no'],
+        ['Scheduled departures', summary.scheduledDepartures],
+        ['Average departure delay', `${summary.avgDepartureDelay.toFixed(1)}s`]
+    ];
+    const width = Math.max(...rows.map(([label]) => label.length));
+    
+    for (const [label, value] of rows) {
+        console.log(`${label.padEnd(width)}  ${value}`);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    
+    const doc = JSON.parse(await readFile(options.file, 'utf8'));
+    const simulation = new Simulation();
+    simulation.loadNetwork(doc);
+    
+    // Surveyed demand replaces the file's OD matrix; unusable rows are reported but don't stop the run
+    if (options.od) {
+        const { warnings } = simulation.importODMatrix(await readFile(options.od, 'utf8'));
+        for (const warning of warnings) {
+            console.error(`Warning: ${warning}`);
+        }
+    }
+    
+    if (options.survival) {
+        simulation.setMode('survival');
+    }
+    
+    // Reseed after loading so the same file can be studied under different random streams
+    if (options.seed !== null) {
+        simulation.rng = new SeededRandom(options.seed);
+    }
+    
+    const summary = runSimulation(simulation, options.minutes);
+    if (options.json) {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        printSummary(summary);
+    }
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}); 
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Simulation clock for railway simulation
+ * Keeps simulated time separate from wall-clock time so runs are reproducible
+ */
+
+export const FIXED_STEP = 1000 / 60; // Length of one simulation tick (ms)
+export const DAY_LENGTH = 24 * 60 * 1000; // Simulated ms in one day, so each second is a minute of the day
+const DAY_START_HOUR = 5; // A run starts at 05:00 on day 1, shortly before the morning peak
+
+/**
+ * SimulationClock class - the single source of "now" for all models
+ */
+export class SimulationClock {
+    constructor(time = 0) {
+        this.time = time; // Simulated milliseconds since the run started
+    }
+    
+    /**
+     * Get the current simulated time (ms)
+     */
+    now() {
+        return this.time;
+    }
+    
+    /**
+     * Advance simulated time
+     */
+    advance(deltaTime) {
+        this.time += deltaTime;
+    }
+    
+    /**
+     * Get the time of day in hours, from 0 up to 24
+     */
+    getHourOfDay() {
+        return (this.time / DAY_LENGTH * 24 + DAY_START_HOUR) % 24;
+    }
+    
+    /**
+     * Get the number of the current day, starting from 1
+     */
+    getDay() {
+        return Math.floor((this.time / DAY_LENGTH * 24 + DAY_START_HOUR) / 24) + 1;
+    }
+    
+    /**
+     * Jump to a given simulated time (used when restoring a saved network)
+     */
+    setTime(time) {
+        this.time = time;
+    }
+}
+
+/**
+ * Format a simulated time (ms) as m:ss, or h:mm:ss from the first hour on
+ */
+export function formatClockTime(time) {
+    const totalSeconds = Math.floor(time / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Format an hour of the day (0 to 24) as hh:mm
+ */
+export function formatTimeOfDay(hour) {
+    const minutes = Math.floor(hour * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format a span of simulated time (ms) in game time, e.g. "2 days, 03:15" or "07:40" (hours and minutes)
+ */
+export function formatGameDuration(time) {
+    const hours = time / DAY_LENGTH * 24;
+    const days = Math.floor(hours / 24);
+    const clock = formatTimeOfDay(hours - days * 24);
+    return days > 0 ? `${days} day${days === 1 ? '' : 's'}, ${clock}` : clock;
+}
+
+/**
+ * Format a simulated time (ms) as the day and time of day it falls on, e.g. "Day 2, 07:30"
+ */
+export function formatDayTime(time) {
+    const clock = new SimulationClock(time);
+    return `Day ${clock.getDay()}, ${formatTimeOfDay(clock.getHourOfDay())}`;
+} 
\ No newline at end of file
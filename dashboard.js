@@ -0,0 +1,260 @@
+/**
+ * Statistics dashboard for railway simulation
+ * Draws the simulation's statistics history as time-series charts on their own canvas.
+ * Follows the latest sample while live; once paused the view stays put and can be scrubbed back
+ * through the history.
+ */
+
+import { LINE_COLORS } from './models.js';
+import { formatDayTime } from './clock.js';
+
+const VIEW_SAMPLES = 144; // Samples shown at once, half a day at the sample interval
+const QUEUE_SERIES = 5; // Stations charted by queue length, those with the longest queues in view
+const LEGEND_ENTRIES = 5; // Most series named in a chart's legend
+const CHART_HEIGHT = 70; // Height of each chart's plot area (px)
+const CHART_GAP = 28; // Space above each plot for its title and legend (px)
+const AXIS_WIDTH = 36; // Space left of each plot for its scale (px)
+
+/**
+ * Round a chart maximum up to 1, 2 or 5 times a power of ten so the scale reads easily
+ */
+function niceMax(value) {
+    if (!(value > 0)) return 1;
+    const power = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(step => step * power >= value);
+    return step * power;
+}
+
+/**
+ * Dashboard class - renders rolling charts of delivery, wait and travel times, station queues and train loads
+ */
+export class Dashboard {
+    constructor(canvas, simulation) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.simulation = simulation;
+        this.paused = false; // Live dashboards follow the latest sample
+        this.viewEnd = null; // Time of the last sample shown while paused
+    }
+    
+    /**
+     * Stop following new samples, keeping the current view
+     */
+    pause() {
+        const samples = this.simulation.statistics.samples;
+        this.paused = true;
+        this.viewEnd = samples.length > 0 ? samples[samples.length - 1].time : null;
+    }
+    
+    /**
+     * Go back to following the latest sample
+     */
+    resume() {
+        this.paused = false;
+        this.viewEnd = null;
+    }
+    
+    /**
+     * Show the history up to the sample at an index, pausing the dashboard
+     */
+    scrubTo(index) {
+        const samples = this.simulation.statistics.samples;
+        if (samples.length === 0) return;
+        
+        this.paused = true;
+        this.viewEnd = samples[Math.max(0, Math.min(samples.length - 1, index))].time;
+    }
+    
+    /**
+     * Get the index of the last sample in view
+     * Paused views keep their place by time, so they don't drift as old samples drop out of the history
+     */
+    getViewEndIndex() {
+        const samples = this.simulation.statistics.samples;
+        if (!this.paused || this.viewEnd === null) return samples.length - 1;
+        
+        let index = 0;
+        while (index + 1 < samples.length && samples[index + 1].time <= this.viewEnd) {
+            index++;
+        }
+        return index;
+    }
+    
+    /**
+     * Get the samples in view, oldest first
+     */
+    getVisibleSamples() {
+        const end = this.getViewEndIndex() + 1;
+        return this.simulation.statistics.samples.slice(Math.max(0, end - VIEW_SAMPLES), end);
+    }
+    
+    /**
+     * Render every chart
+     */
+    render() {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#1e272e';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        const samples = this.getVisibleSamples();
+        if (samples.length < 2) {
+            ctx.fillStyle = '#bdc3c7';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText('Collecting statistics…', AXIS_WIDTH, CHART_GAP);
+            return;
+        }
+        
+        const charts = [
+            {
+                title: 'Delivered per minute',
+                series: [{ label: 'delivered', color: '#2ecc71', values: samples.map(s => s.delivered) }]
+            },
+            {
+                title: 'Wait time (s)',
+                series: this.getTimeSeries(samples, 'wait')
+            },
+            {
+                title: 'Travel time (s)',
+                series: this.getTimeSeries(samples, 'travel')
+            },
+            {
+                title: 'Queue length',
+                series: this.getQueueSeries(samples)
+            },
+            {
+                title: 'Train load',
+                series: this.getLoadSeries(samples),
+                max: 1,
+                format: value => `${Math.round(value * 100)}%`
+            }
+        ];
+        charts.forEach((chart, i) => this.renderChart(chart, i * (CHART_HEIGHT + CHART_GAP) + CHART_GAP));
+    }
+    
+    /**
+     * Get average, median and 90th percentile series for wait or travel times
+     */
+    getTimeSeries(samples, key) {
+        return [
+            { label: 'avg', color: '#3498db', values: samples.map(s => s[key].avg) },
+            { label: 'p50', color: '#9b59b6', values: samples.map(s => s[key].p50) },
+            { label: 'p90', color: '#e67e22', values: samples.map(s => s[key].p90) }
+        ];
+    }
+    
+    /**
+     * Get queue length series for the stations with the longest queues in view
+     * Stations that didn't exist yet (or any more) leave gaps
+     */
+    getQueueSeries(samples) {
+        const peaks = new Map();
+        for (const sample of samples) {
+            for (const [id, queue] of sample.queues) {
+                peaks.set(id, Math.max(peaks.get(id) || 0, queue));
+            }
+        }
+        
+        const ids = [...peaks.keys()].sort((a, b) => peaks.get(b) - peaks.get(a)).slice(0, QUEUE_SERIES);
+        return ids.map((id, i) => {
+            const station = this.simulation.stations.find(s => s.id === id);
+            return {
+                label: station ? station.name : `Station #${id}`,
+                color: LINE_COLORS[i % LINE_COLORS.length],
+                values: samples.map(s => (s.queues.has(id) ? s.queues.get(id) : null))
+            };
+        });
+    }
+    
+    /**
+     * Get a load factor series for every train in view, in its line's colour
+     */
+    getLoadSeries(samples) {
+        const ids = new Set(samples.flatMap(s => [...s.loads.keys()]));
+        return [...ids].map(id => {
+            const train = this.simulation.trains.find(t => t.id === id);
+            const line = train && this.simulation.getLine(train.lineId);
+            return {
+                label: line ? `${line.name} #${id}` : `Train #${id}`,
+                color: line ? line.color : '#95a5a6',
+                values: samples.map(s => (s.loads.has(id) ? s.loads.get(id) : null))
+            };
+        });
+    }
+    
+    /**
+     * Render one chart: title, legend, scale and a line per series
+     * chart: { title, series: [{ label, color, values }], max (fixed top of scale), format (scale labels) }
+     */
+    renderChart(chart, top) {
+        const ctx = this.ctx;
+        const left = AXIS_WIDTH;
+        const width = this.canvas.width - AXIS_WIDTH - 10;
+        const format = chart.format || (value => (value >= 10 ? Math.round(value) : value.toFixed(1)));
+        const values = chart.series.flatMap(series => series.values).filter(value => value !== null);
+        const max = chart.max || niceMax(Math.max(0, ...values));
+        
+        // Title and legend
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = '#ecf0f1';
+        ctx.fillText(chart.title, left, top - 12);
+        let legendX = left + ctx.measureText(chart.title).width + 12;
+        for (const series of chart.series.slice(0, LEGEND_ENTRIES)) {
+            ctx.fillStyle = series.color;
+            ctx.fillText(series.label, legendX, top - 12);
+            legendX += ctx.measureText(series.label).width + 8;
+        }
+        
+        // Scale with gridlines at the top, middle and bottom
+        ctx.strokeStyle = '#34495e';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#7f8c8d';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (const share of [0, 0.5, 1]) {
+            const y = top + CHART_HEIGHT * (1 - share);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + width, y);
+            ctx.stroke();
+            ctx.fillText(format(max * share), left - 4, y);
+        }
+        
+        // One line per series, broken where it has no value; the newest sample sits at the right edge
+        const count = chart.series.length > 0 ? chart.series[0].values.length : 0;
+        const stepX = width / (VIEW_SAMPLES - 1);
+        const startX = left + width - (count - 1) * stepX;
+        ctx.lineWidth = 1.5;
+        for (const series of chart.series) {
+            ctx.strokeStyle = series.color;
+            ctx.beginPath();
+            let drawing = false;
+            series.values.forEach((value, i) => {
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                const x = startX + i * stepX;
+                const y = top + CHART_HEIGHT * (1 - Math.min(value, max) / max);
+                if (drawing) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Describe the span of time in view, e.g. "Day 1, 06:00 – Day 1, 18:00"
+     */
+    describeView() {
+        const samples = this.getVisibleSamples();
+        if (samples.length === 0) return 'No samples yet';
+        return `${formatDayTime(samples[0].time)} – ${formatDayTime(samples[samples.length - 1].time)}`;
+    }
+} 
\ No newline at end of file
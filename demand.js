@@ -0,0 +1,244 @@
+/**
+ * Passenger demand for railway simulation
+ * Demand curves set how busy each kind of station is at each time of day, and an origin-destination
+ * (OD) matrix imported from survey data sets how many people travel between particular stations
+ */
+
+import { DAY_LENGTH } from './clock.js';
+
+// Kinds of station, with display names; each has its own demand curve
+export const STATION_ROLES = { mixed: 'Mixed', residential: 'Residential', business: 'Business' };
+
+// Default demand curves: [hour, multiplier] points, linearly interpolated and wrapping around midnight.
+// Residential areas send people out in the morning peak, business districts send them home in the evening.
+export const DEFAULT_DEMAND_CURVES = {
+    mixed: [[0, 0.15], [5, 0.3], [8, 1.8], [10, 0.9], [13, 1.0], [17.5, 1.8], [20, 0.8], [23, 0.3]],
+    residential: [[0, 0.1], [5, 0.3], [7.5, 2.5], [9.5, 1.0], [13, 0.6], [17, 0.8], [19, 1.0], [23, 0.3]],
+    business: [[0, 0.05], [6, 0.2], [8.5, 0.8], [12.5, 1.3], [17.5, 2.6], [19.5, 0.9], [22, 0.2]]
+};
+
+/**
+ * Get the demand multiplier of a curve at an hour of the day
+ */
+export function getDemand(curve, hour) {
+    const first = curve[0];
+    const last = curve[curve.length - 1];
+    
+    // Before the first point or after the last, interpolate across midnight
+    let before = last;
+    let after = [first[0] + 24, first[1]];
+    for (let i = 0; i < curve.length; i++) {
+        if (curve[i][0] > hour) {
+            after = curve[i];
+            before = i > 0 ? curve[i - 1] : [last[0] - 24, last[1]];
+            break;
+        }
+    }
+    
+    const span = after[0] - before[0];
+    const u = span === 0 ? 0 : (hour - before[0]) / span;
+    return before[1] + (after[1] - before[1]) * u;
+}
+
+/**
+ * Check a demand curve and return a copy sorted by hour
+ * Throws if it isn't a non-empty list of [hour, multiplier] points with hours in [0, 24) and multipliers >= 0
+ */
+export function validateDemandCurve(curve) {
+    if (!Array.isArray(curve) || curve.length === 0) {
+        throw new Error('A demand curve needs at least one [hour, multiplier] point');
+    }
+    for (const point of curve) {
+        if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+            throw new Error(`Invalid demand curve point: ${JSON.stringify(point)}`);
+        }
+        if (point[0] < 0 || point[0] >= 24 || point[1] < 0) {
+            throw new Error(`Demand curve point out of range: ${JSON.stringify(point)}`);
+        }
+    }
+    return curve.map(([hour, multiplier]) => [hour, multiplier]).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Copy a set of demand curves keyed by station role
+ */
+export function copyDemandCurves(curves) {
+    return Object.fromEntries(Object.entries(curves).map(([role, curve]) => [role, curve.map(point => [...point])]));
+}
+
+/**
+ * ODMatrix class - surveyed trips per hour between pairs of stations, keyed by station ID
+ */
+export class ODMatrix {
+    constructor(entries = []) {
+        this.trips = new Map(); // Origin ID -> Map of destination ID -> trips per hour
+        for (const [originId, destinationId, trips] of entries) {
+            this.set(originId, destinationId, trips);
+        }
+    }
+    
+    /**
+     * Set the trips per hour from one station to another
+     */
+    set(originId, destinationId, trips) {
+        if (!this.trips.has(originId)) {
+            this.trips.set(originId, new Map());
+        }
+        this.trips.get(originId).set(destinationId, trips);
+    }
+    
+    /**
+     * Get the trips per hour listed from an origin, as a Map of destination ID -> trips, or null if none are
+     */
+    getTrips(originId) {
+        return this.trips.get(originId) || null;
+    }
+    
+    /**
+     * Get the number of station pairs listed
+     */
+    getSize() {
+        let size = 0;
+        for (const destinations of this.trips.values()) {
+            size += destinations.size;
+        }
+        return size;
+    }
+    
+    /**
+     * Serialize as a list of [originId, destinationId, trips per hour]
+     */
+    toJSON() {
+        const entries = [];
+        for (const [originId, destinations] of this.trips) {
+            for (const [destinationId, trips] of destinations) {
+                entries.push([originId, destinationId, trips]);
+            }
+        }
+        return entries;
+    }
+    
+    /**
+     * Restore a matrix from serialized data
+     */
+    static fromJSON(entries) {
+        return new ODMatrix(entries);
+    }
+}
+
+/**
+ * Convert trips per hour of the simulated day into passengers per simulated second
+ */
+export function tripsPerSecond(tripsPerHour) {
+    return tripsPerHour / (DAY_LENGTH / 24 / 1000);
+}
+
+/**
+ * Split one CSV line into trimmed cells, honouring double-quoted cells with "" escapes
+ */
+function splitCSVLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Parse an OD matrix from CSV, matching stations by ID or (case-insensitive) name
+ *
+ * Two layouts are accepted:
+ *   - a list with an origin,destination,trips header and one station pair per row
+ *   - a square matrix whose header row names the destinations and whose first column names the origins
+ * Values are trips per hour; blank cells are left to the gravity model. Blank lines and lines starting
+ * with # are skipped.
+ *
+ * Returns { matrix: ODMatrix, warnings: [message] }; rows naming unknown or ambiguous stations and
+ * invalid values are skipped with a warning. Throws if the text has no header and data rows.
+ */
+export function parseODMatrix(text, stations) {
+    const rows = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+        .map((line, index) => ({ number: index + 1, cells: splitCSVLine(line) }))
+        .filter(row => row.cells.some(cell => cell !== '') && !row.cells[0].startsWith('#'));
+    if (rows.length < 2) {
+        throw new Error('The CSV needs a header row and at least one row of trips');
+    }
+    
+    const matrix = new ODMatrix();
+    const warnings = [];
+    
+    // Look up a station by ID or name, warning (once per cell) when that fails
+    const findStation = (key, rowNumber) => {
+        const byId = stations.find(s => String(s.id) === key);
+        if (byId) return byId;
+        
+        const byName = stations.filter(s => s.name.toLowerCase() === key.toLowerCase());
+        if (byName.length === 1) return byName[0];
+        warnings.push(byName.length > 1
+            ? `Row ${rowNumber}: "${key}" matches ${byName.length} stations, use a station ID instead`
+            : `Row ${rowNumber}: unknown station "${key}"`);
+        return null;
+    };
+    
+    // Record one pair's trips, warning about values that can't be used
+    const addTrips = (origin, destination, value, rowNumber) => {
+        if (value === '') return;
+        const trips = Number(value);
+        if (!Number.isFinite(trips) || trips < 0) {
+            warnings.push(`Row ${rowNumber}: invalid trip count "${value}"`);
+        } else if (origin === destination) {
+            if (trips > 0) {
+                warnings.push(`Row ${rowNumber}: trips from ${origin.name} to itself ignored`);
+            }
+        } else {
+            matrix.set(origin.id, destination.id, trips);
+        }
+    };
+    
+    const [header, ...dataRows] = rows;
+    const isList = /^(origin|from)$/i.test(header.cells[0]) && /^(destination|dest|to)$/i.test(header.cells[1] || '');
+    
+    if (isList) {
+        for (const { number, cells } of dataRows) {
+            const origin = findStation(cells[0], number);
+            const destination = findStation(cells[1] || '', number);
+            if (origin && destination) {
+                addTrips(origin, destination, cells[2] || '', number);
+            }
+        }
+    } else {
+        const destinations = header.cells.slice(1).map(key => findStation(key, header.number));
+        for (const { number, cells } of dataRows) {
+            const origin = findStation(cells[0], number);
+            if (!origin) continue;
+            
+            destinations.forEach((destination, i) => {
+                if (destination) {
+                    addTrips(origin, destination, cells[i + 1] || '', number);
+                }
+            });
+        }
+    }
+    
+    return { matrix, warnings };
+} 
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Economy for railway simulation
+ * Building stations, tracks and trains costs money up front, everything built costs a share of its price
+ * to run every minute, and passengers pay a fare when they reach their destination
+ */
+
+export const STARTING_BALANCE = 20000; // Money available to a new network
+
+const STATION_COSTS = { 1: 2000, 2: 1000, 3: 500 }; // Price of a station by importance (1=Major Hub)
+const TRACK_COST_PER_PIXEL = 4; // Price of track per pixel of its length
+const TRAIN_COSTS = { commuter: 3000, express: 5000, tram: 2000 }; // Price of a train by key of TRAIN_TYPES
+const OPERATING_SHARE = 0.0005; // Share of its price everything built costs to run per minute of the day
+const FARE_BASE = 2; // Fixed part of every fare
+const FARE_PER_PIXEL = 0.01; // Distance part of a fare, per pixel between origin and destination
+
+/**
+ * Get the price of a station of a given importance
+ */
+export function getStationCost(importance) {
+    return STATION_COSTS[importance];
+}
+
+/**
+ * Get the price of a track of a given length
+ */
+export function getTrackCost(length) {
+    return Math.round(length * TRACK_COST_PER_PIXEL);
+}
+
+/**
+ * Get the price of one train of a given type
+ */
+export function getTrainCost(type) {
+    return TRAIN_COSTS[type];
+}
+
+/**
+ * Get the fare a passenger pays for a journey covering a straight-line distance
+ */
+export function getFare(distance) {
+    return FARE_BASE + distance * FARE_PER_PIXEL;
+}
+
+/**
+ * Get what a network costs to run per minute of the day
+ */
+export function getOperatingCost(stations, tracks, trains) {
+    const value = stations.reduce((sum, s) => sum + getStationCost(s.importance), 0)
+        + tracks.reduce((sum, t) => sum + getTrackCost(t.length), 0)
+        + trains.reduce((sum, t) => sum + getTrainCost(t.type), 0);
+    return value * OPERATING_SHARE;
+}
+
+/**
+ * Format an amount of money in whole units, e.g. "$12,340" or "−$250"
+ */
+export function formatMoney(amount) {
+    const units = Math.round(Math.abs(amount)).toLocaleString('en-US');
+    return amount <= -0.5 ? `−$${units}` : `$${units}`;
+}
+
+/**
+ * Economy class - the balance and what has been earned and spent since the network was started
+ *
+ * Construction is refused when the balance doesn't cover it; running costs are always paid,
+ * so the balance can go negative and then blocks building until fares bring it back.
+ */
+export class Economy {
+    constructor(balance = STARTING_BALANCE) {
+        this.balance = balance;
+        this.totals = { fares: 0, construction: 0, operations: 0 }; // Income and spending by kind
+    }
+    
+    /**
+     * Check if the balance covers a cost; anything free is affordable even in debt
+     */
+    canAfford(cost) {
+        return cost <= 0 || cost <= this.balance;
+    }
+    
+    /**
+     * Pay for construction; callers check canAfford() first
+     */
+    spend(cost) {
+        this.balance -= cost;
+        this.totals.construction += cost;
+    }
+    
+    /**
+     * Give back what was paid for construction that is undone
+     */
+    refund(cost) {
+        this.balance += cost;
+        this.totals.construction -= cost;
+    }
+    
+    /**
+     * Pay running costs
+     */
+    operate(cost) {
+        this.balance -= cost;
+        this.totals.operations += cost;
+    }
+    
+    /**
+     * Take a passenger's fare
+     */
+    collectFare(fare) {
+        this.balance += fare;
+        this.totals.fares += fare;
+    }
+    
+    /**
+     * Get fares minus all spending since the start
+     */
+    getProfit() {
+        return this.totals.fares - this.totals.construction - this.totals.operations;
+    }
+    
+    /**
+     * Serialize the balance and totals
+     */
+    toJSON() {
+        return { balance: this.balance, totals: { ...this.totals } };
+    }
+    
+    /**
+     * Restore an economy from serialized data
+     */
+    static fromJSON(data) {
+        const economy = new Economy(data.balance);
+        economy.totals = { ...data.totals };
+        return economy;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Minimal event emitter for railway simulation
+ * Lets renderers, UI and tools observe the simulation without coupling to it
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // Event name -> Set of handlers
+    }
+    
+    /**
+     * Subscribe to an event, returns a function that unsubscribes
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+    
+    /**
+     * Unsubscribe from an event
+     */
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+    
+    /**
+     * Notify all subscribers of an event
+     */
+    emit(event, data) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        
+        for (const handler of handlers) {
+            handler(data);
+        }
+    }
+} 
\ No newline at end of file
@@ -1,6 +1,6 @@
 /**
  * Graph algorithms for railway simulation
- * Implements Dijkstra's algorithm for shortest path finding
+ * Implements Dijkstra's algorithm for shortest path finding and a routing table kept up to date incrementally
  */
 
 /**
@@ -23,17 +23,31 @@ export class Graph {
     }
     
     /**
-     * Add a bidirectional edge between two stations
+     * Add an edge between two stations, in both directions unless bidirectional is false
      */
-    addEdge(from, to, weight) {
+    addEdge(from, to, weight, bidirectional = true) {
         this.addNode(from);
         this.addNode(to);
         
         // Add edge from -> to
         this.edges.get(from).push({ to, weight });
         
-        // Add edge to -> from (bidirectional)
-        this.edges.get(to).push({ to: from, weight });
+        // Add edge to -> from
+        if (bidirectional) {
+            this.edges.get(to).push({ to: from, weight });
+        }
+    }
+    
+    /**
+     * Remove the edge between two stations in both directions
+     */
+    removeEdge(from, to) {
+        if (this.edges.has(from)) {
+            this.edges.set(from, this.edges.get(from).filter(edge => edge.to !== to));
+        }
+        if (this.edges.has(to)) {
+            this.edges.set(to, this.edges.get(to).filter(edge => edge.to !== from));
+        }
     }
     
     /**
@@ -66,22 +80,56 @@ export class Graph {
 }
 
 /**
- * Priority queue implementation for Dijkstra's algorithm
+ * Priority queue for Dijkstra's algorithm, backed by a binary min-heap
  */
 class PriorityQueue {
     constructor() {
-        this.items = [];
+        this.items = []; // Heap ordered by priority: items[i] <= items[2i+1], items[2i+2]
     }
     
+    /**
+     * Add an item, sifting it up to its place in the heap
+     */
     enqueue(item, priority) {
-        this.items.push({ item, priority });
-        this.items.sort((a, b) => a.priority - b.priority);
+        const items = this.items;
+        items.push({ item, priority });
+        
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].priority <= items[index].priority) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
     }
     
+    /**
+     * Remove and return the { item, priority } with the lowest priority
+     */
     dequeue() {
-        return this.items.shift();
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length === 0) return top;
+        
+        items[0] = last;
+        let index = 0;
+        for (;;) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+            if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+            if (smallest === index) break;
+            [items[smallest], items[index]] = [items[index], items[smallest]];
+            index = smallest;
+        }
+        return top;
     }
     
+    /**
+     * Check if the queue is empty
+     */
     isEmpty() {
         return this.items.length === 0;
     }
@@ -144,34 +192,167 @@ export function dijkstra(graph, start, end) {
 }
 
 /**
- * Build a routing table for all pairs of stations
- * Returns a Map where key is "fromId-toId" and value is the path array
+ * Single-source Dijkstra: shortest distances from one station to every station it can reach
+ * Returns { distances: Map stationId -> distance, previous: Map stationId -> stationId before it (null for the source) }
  */
-export function buildRoutingTable(graph) {
-    const routingTable = new Map();
-    
-    for (const start of graph.nodes) {
-        for (const end of graph.nodes) {
-            if (start !== end) {
-                const { path } = dijkstra(graph, start, end);
-                if (path.length > 0) {
-                    routingTable.set(`${start}-${end}`, path);
+export function shortestPaths(graph, source) {
+    const distances = new Map([[source, 0]]);
+    const previous = new Map([[source, null]]);
+    relaxFrom(graph, distances, previous, [source]);
+    return { distances, previous };
+}
+
+/**
+ * Propagate shortened distances outwards from the given stations until no path can be improved
+ */
+function relaxFrom(graph, distances, previous, seeds) {
+    const queue = new PriorityQueue();
+    for (const node of seeds) {
+        queue.enqueue(node, distances.get(node));
+    }
+    
+    while (!queue.isEmpty()) {
+        const { item: current, priority } = queue.dequeue();
+        if (priority > distances.get(current)) continue; // Superseded by a shorter path
+        
+        for (const { to: neighbor, weight } of graph.getNeighbors(current)) {
+            const newDistance = priority + weight;
+            if (newDistance < (distances.has(neighbor) ? distances.get(neighbor) : Infinity)) {
+                distances.set(neighbor, newDistance);
+                previous.set(neighbor, current);
+                queue.enqueue(neighbor, newDistance);
+            }
+        }
+    }
+}
+
+/**
+ * RoutingTable class - shortest paths between all stations of a graph
+ * Keeps one shortest-path tree per source station, built on first use. Graph edits made through
+ * the table update the cached trees in place where possible and drop only the trees they invalidate.
+ */
+export class RoutingTable {
+    constructor(graph) {
+        this.graph = graph;
+        this.trees = new Map(); // Source station ID -> { distances, previous }
+    }
+    
+    /**
+     * Get the shortest-path tree rooted at a station, computing it if needed
+     */
+    getTree(source) {
+        if (!this.graph.nodes.has(source)) return null;
+        
+        let tree = this.trees.get(source);
+        if (!tree) {
+            tree = shortestPaths(this.graph, source);
+            this.trees.set(source, tree);
+        }
+        return tree;
+    }
+    
+    /**
+     * Get the shortest path between two different stations, or [] if there is none
+     */
+    getPath(from, to) {
+        if (from === to) return [];
+        
+        const tree = this.getTree(from);
+        if (!tree || !tree.previous.has(to)) return [];
+        
+        const path = [];
+        for (let node = to; node !== null; node = tree.previous.get(node)) {
+            path.push(node);
+        }
+        return path.reverse();
+    }
+    
+    /**
+     * Get the length of the shortest path between two stations (Infinity if unreachable)
+     */
+    getDistance(from, to) {
+        const tree = this.getTree(from);
+        return tree && tree.distances.has(to) ? tree.distances.get(to) : Infinity;
+    }
+    
+    /**
+     * Add a station; a station without edges changes no existing path
+     */
+    addNode(stationId) {
+        this.graph.addNode(stationId);
+    }
+    
+    /**
+     * Remove a station and its edges, recomputing only trees that routed through it
+     */
+    removeNode(stationId) {
+        this.graph.removeNode(stationId);
+        this.trees.delete(stationId);
+        
+        for (const [source, tree] of this.trees) {
+            if (!tree.distances.has(stationId)) continue;
+            
+            if ([...tree.previous.values()].includes(stationId)) {
+                this.trees.delete(source);
+            } else {
+                tree.distances.delete(stationId);
+                tree.previous.delete(stationId);
+            }
+        }
+    }
+    
+    /**
+     * Add an edge, shortening cached paths that can now use it
+     */
+    addEdge(from, to, weight, bidirectional = true) {
+        this.graph.addEdge(from, to, weight, bidirectional);
+        
+        const arcs = bidirectional ? [[from, to], [to, from]] : [[from, to]];
+        for (const tree of this.trees.values()) {
+            const seeds = [];
+            for (const [u, v] of arcs) {
+                if (!tree.distances.has(u)) continue;
+                
+                const newDistance = tree.distances.get(u) + weight;
+                if (newDistance < (tree.distances.has(v) ? tree.distances.get(v) : Infinity)) {
+                    tree.distances.set(v, newDistance);
+                    tree.previous.set(v, u);
+                    seeds.push(v);
                 }
             }
+            relaxFrom(this.graph, tree.distances, tree.previous, seeds);
         }
     }
     
-    return routingTable;
+    /**
+     * Remove an edge, recomputing only trees whose paths used it
+     */
+    removeEdge(from, to) {
+        this.graph.removeEdge(from, to);
+        
+        for (const [source, tree] of this.trees) {
+            if (tree.previous.get(to) === from || tree.previous.get(from) === to) {
+                this.trees.delete(source);
+            }
+        }
+    }
+}
+
+/**
+ * Build a routing table for all pairs of stations
+ * Paths from each station are computed on first use
+ */
+export function buildRoutingTable(graph) {
+    return new RoutingTable(graph);
 }
 
 /**
  * Find the next hop station from current to destination
  */
 export function getNextHop(routingTable, from, to) {
-    const key = `${from}-${to}`;
-    const path = routingTable.get(key);
+    const path = routingTable.getPath(from, to);
     
-    if (!path || path.length < 2) {
+    if (path.length < 2) {
         return null;
     }
     
@@ -182,16 +363,62 @@ export function getNextHop(routingTable, from, to) {
  * Check if there's a valid path between two stations
  */
 export function hasPath(routingTable, from, to) {
-    const key = `${from}-${to}`;
-    return routingTable.has(key) && routingTable.get(key).length > 0;
+    return routingTable.getPath(from, to).length > 0;
 }
 
 /**
  * Get the full path between two stations
  */
 export function getPath(routingTable, from, to) {
-    const key = `${from}-${to}`;
-    return routingTable.get(key) || [];
+    return routingTable.getPath(from, to);
+}
+
+/**
+ * Plan a passenger journey across train routes with the fewest transfers
+ * Each route is an array of station IDs served by one train; a train can carry
+ * passengers between any two stations on its route. Returns the stops where the
+ * passenger boards or alights [origin, ...transfers, destination], or [] if unreachable.
+ */
+export function planJourney(routes, origin, destination) {
+    if (origin === destination) {
+        return [origin];
+    }
+    
+    // Breadth-first search where each hop is one ride on one route
+    const previous = new Map([[origin, null]]);
+    let frontier = [origin];
+    
+    while (frontier.length > 0) {
+        const nextFrontier = [];
+        
+        for (const stationId of frontier) {
+            for (const route of routes) {
+                if (!route.includes(stationId)) continue;
+                
+                for (const reachable of route) {
+                    if (previous.has(reachable)) continue;
+                    previous.set(reachable, stationId);
+                    
+                    if (reachable === destination) {
+                        // Reconstruct stops
+                        const stops = [];
+                        let current = destination;
+                        while (current !== null) {
+                            stops.unshift(current);
+                            current = previous.get(current);
+                        }
+                        return stops;
+                    }
+                    nextFrontier.push(reachable);
+                }
+            }
+        }
+        
+        frontier = nextFrontier;
+    }
+    
+    // No journey found
+    return [];
 }
 
 /**
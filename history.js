@@ -0,0 +1,474 @@
+/**
+ * Edit history for railway simulation
+ * Records network edits as commands so they can be undone and redone, including their cascaded effects
+ */
+
+import { EventEmitter } from './events.js';
+import { TRACK_MODES, TRAIN_TYPES } from './models.js';
+import { SCHEDULE_MODES } from './timetable.js';
+import { STATION_ROLES } from './demand.js';
+import { getStationCost } from './economy.js';
+
+const HISTORY_LIMIT = 100; // Oldest edits are forgotten beyond this many
+
+/**
+ * EditHistory class - undo and redo stacks of edit commands
+ *
+ * A command is { label, do(), undo() }. do() runs the edit the first time and again on redo;
+ * if it returns a falsy value nothing changed and the command is not recorded.
+ * Commands that build something refund its price on undo and pay it again on redo; if the balance
+ * no longer covers it the redo is refused. Removing things gives nothing back, so undoing a removal is free.
+ *
+ * Events: changed
+ */
+export class EditHistory extends EventEmitter {
+    constructor(limit = HISTORY_LIMIT) {
+        super();
+        this.limit = limit;
+        this.undoStack = []; // Applied commands, oldest first
+        this.redoStack = []; // Undone commands, most recently undone last
+    }
+    
+    /**
+     * Run a command and record it, discarding anything that could have been redone
+     * Returns the result of the command's do()
+     */
+    execute(command) {
+        const result = command.do();
+        if (!result) return result;
+        
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.emit('changed');
+        return result;
+    }
+    
+    /**
+     * Undo the most recent command, returns it or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        
+        command.undo();
+        this.redoStack.push(command);
+        this.emit('changed');
+        return command;
+    }
+    
+    /**
+     * Redo the most recently undone command, returns it or null if there is nothing to redo
+     * A command that can't be done again (its do() is falsy) stays on the redo stack
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        
+        if (!command.do()) {
+            this.redoStack.push(command);
+            return null;
+        }
+        this.undoStack.push(command);
+        this.emit('changed');
+        return command;
+    }
+    
+    /**
+     * Undo or redo until exactly `position` commands are applied
+     */
+    goTo(position) {
+        while (this.undoStack.length > position && this.undo());
+        while (this.undoStack.length < position && this.redo());
+    }
+    
+    /**
+     * Check if there is a command to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    /**
+     * Check if there is a command to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * List all commands in order with whether each is currently applied
+     */
+    getEntries() {
+        return [
+            ...this.undoStack.map(command => ({ label: command.label, applied: true })),
+            ...[...this.redoStack].reverse().map(command => ({ label: command.label, applied: false }))
+        ];
+    }
+    
+    /**
+     * Forget all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emit('changed');
+    }
+}
+
+/**
+ * Add a station; undo deletes it again
+ */
+export function addStationCommand(simulation, station) {
+    const cost = getStationCost(station.importance);
+    let record = null;
+    return {
+        label: `Add ${station.name}`,
+        do() {
+            if (record) {
+                return simulation.payFor(cost, `a ${station.getImportanceLabel()}`) && simulation.restoreStation(record);
+            }
+            return simulation.addStation(station);
+        },
+        undo() {
+            record = simulation.deleteStation(station.id);
+            simulation.economy.refund(cost);
+        }
+    };
+}
+
+/**
+ * Delete a station with its tracks, lines, trains and passengers; undo restores all of them
+ */
+export function deleteStationCommand(simulation, station) {
+    let record = null;
+    return {
+        label: `Delete ${station.name}`,
+        do() {
+            record = simulation.deleteStation(station.id);
+            return record;
+        },
+        undo() {
+            simulation.restoreStation(record);
+        }
+    };
+}
+
+/**
+ * Change a station's importance
+ */
+export function changeImportanceCommand(simulation, station, importance) {
+    const previous = station.importance;
+    const upgrade = Math.max(0, getStationCost(importance) - getStationCost(previous));
+    let done = false;
+    return {
+        label: `Change ${station.name} importance`,
+        do() {
+            if (done) {
+                return simulation.payFor(upgrade, `upgrading ${station.name}`) &&
+                    simulation.changeStationImportance(station.id, importance, false);
+            }
+            done = importance !== previous && simulation.changeStationImportance(station.id, importance);
+            return done;
+        },
+        undo() {
+            simulation.changeStationImportance(station.id, previous, false);
+            simulation.economy.refund(upgrade);
+        }
+    };
+}
+
+/**
+ * Change a station's role, and with it the demand curve it follows
+ */
+export function changeRoleCommand(simulation, station, role) {
+    const previous = station.role;
+    return {
+        label: `Make ${station.name} ${STATION_ROLES[role].toLowerCase()}`,
+        do() {
+            return role !== previous && simulation.changeStationRole(station.id, role);
+        },
+        undo() {
+            simulation.changeStationRole(station.id, previous);
+        }
+    };
+}
+
+/**
+ * Replace the OD matrix with one imported from CSV; undo brings back the previous matrix
+ * The matrix is parsed once, so redo doesn't repeat the warnings
+ */
+export function importODMatrixCommand(simulation, text) {
+    let result = null;
+    return {
+        label: 'Import OD matrix',
+        do() {
+            if (result) {
+                simulation.setODMatrix(result.matrix);
+                return result;
+            }
+            result = simulation.importODMatrix(text);
+            return result;
+        },
+        undo() {
+            simulation.setODMatrix(result.previous);
+        }
+    };
+}
+
+/**
+ * Add a track; undo deletes it and returns lines it let resume to how they were
+ */
+export function addTrackCommand(simulation, fromId, toId, options = {}) {
+    let track = null;
+    let record = null;
+    let lineStates = [];
+    return {
+        label: `Add track ${fromId}–${toId}`,
+        do() {
+            if (record) {
+                return simulation.payFor(simulation.getTrackCost(track), 'this track') && simulation.restoreTrack(record);
+            }
+            lineStates = simulation.captureLineStates(simulation.lines.filter(l => l.suspended));
+            track = simulation.addTrack(fromId, toId, options);
+            return track;
+        },
+        undo() {
+            record = simulation.deleteTrack(track);
+            simulation.restoreLineStates(lineStates);
+            simulation.economy.refund(simulation.getTrackCost(track));
+        }
+    };
+}
+
+/**
+ * Delete a track, re-routing or suspending the lines that used it; undo puts the lines back
+ */
+export function deleteTrackCommand(simulation, track) {
+    let record = null;
+    return {
+        label: `Delete track ${track.from}–${track.to}`,
+        do() {
+            record = simulation.deleteTrack(track);
+            return record;
+        },
+        undo() {
+            simulation.restoreTrack(record);
+        }
+    };
+}
+
+/**
+ * Change how a track is laid; undo puts back the lines it re-routed or suspended
+ */
+export function trackModeCommand(simulation, track, mode) {
+    const previous = track.mode;
+    let result = null;
+    return {
+        label: `Make track ${track.from}–${track.to} ${(TRACK_MODES[mode] || mode).toLowerCase()}`,
+        do() {
+            result = simulation.setTrackMode(track, mode);
+            return result;
+        },
+        undo() {
+            simulation.setTrackMode(track, previous);
+            simulation.restoreLineStates(result.lineStates);
+        }
+    };
+}
+
+/**
+ * Switch a track between straight legs and a smooth curve
+ */
+export function smoothTrackCommand(simulation, track, smooth) {
+    return {
+        label: `${smooth ? 'Curve' : 'Straighten'} track ${track.from}–${track.to}`,
+        do() {
+            return simulation.setTrackSmooth(track, smooth);
+        },
+        undo() {
+            simulation.setTrackSmooth(track, !smooth);
+        }
+    };
+}
+
+/**
+ * Change a track's speed limit
+ */
+export function trackSpeedCommand(simulation, track, maxSpeed) {
+    const previous = track.maxSpeed;
+    return {
+        label: `Set track ${track.from}–${track.to} limit to ${maxSpeed} px/s`,
+        do() {
+            return simulation.setTrackSpeedLimit(track, maxSpeed);
+        },
+        undo() {
+            simulation.setTrackSpeedLimit(track, previous);
+        }
+    };
+}
+
+/**
+ * Create a line with its first train
+ */
+export function addLineCommand(simulation, stops, options = {}) {
+    let line = null;
+    let record = null;
+    let cost = 0;
+    return {
+        label: 'Create line',
+        do() {
+            if (record) {
+                const item = `a ${TRAIN_TYPES[line.trainType].name.toLowerCase()} train`;
+                return simulation.payFor(cost, item) && simulation.restoreLine(record);
+            }
+            line = simulation.addLine(stops, options);
+            if (line) {
+                this.label = `Create ${line.name}`;
+                cost = simulation.getTrainCost(line.trainType);
+            }
+            return line;
+        },
+        undo() {
+            record = simulation.deleteLine(line.id);
+            simulation.economy.refund(cost);
+        }
+    };
+}
+
+/**
+ * Change the type of train a line runs
+ */
+export function lineTrainTypeCommand(simulation, line, type) {
+    const previous = line.trainType;
+    const upgrade = Math.max(0, simulation.getTrainCost(type) - simulation.getTrainCost(previous)) * line.trainIds.length;
+    let done = false;
+    return {
+        label: `Run ${TRAIN_TYPES[type].name.toLowerCase()} trains on ${line.name}`,
+        do() {
+            if (done) {
+                const item = `${TRAIN_TYPES[type].name.toLowerCase()} trains on ${line.name}`;
+                return simulation.payFor(upgrade, item) && simulation.setLineTrainType(line.id, type, false);
+            }
+            done = type !== previous && simulation.setLineTrainType(line.id, type);
+            return done;
+        },
+        undo() {
+            simulation.setLineTrainType(line.id, previous, false);
+            simulation.economy.refund(upgrade);
+        }
+    };
+}
+
+/**
+ * Change how a line is scheduled
+ */
+export function lineScheduleCommand(simulation, line, schedule) {
+    const previous = { ...line.schedule };
+    return {
+        label: `Schedule ${line.name}: ${SCHEDULE_MODES[schedule.mode].toLowerCase()}` +
+            (schedule.mode === 'none' ? '' : ` every ${schedule.interval / 1000}s`),
+        do() {
+            const unchanged = schedule.mode === previous.mode && schedule.interval === previous.interval;
+            return !unchanged && simulation.setLineSchedule(line.id, schedule);
+        },
+        undo() {
+            simulation.setLineSchedule(line.id, previous);
+        }
+    };
+}
+
+/**
+ * Delete a line and its trains
+ */
+export function deleteLineCommand(simulation, line) {
+    let record = null;
+    return {
+        label: `Delete ${line.name}`,
+        do() {
+            record = simulation.deleteLine(line.id);
+            return record;
+        },
+        undo() {
+            simulation.restoreLine(record);
+        }
+    };
+}
+
+/**
+ * Add a train to a line
+ */
+export function addTrainCommand(simulation, line) {
+    let train = null;
+    let record = null;
+    return {
+        label: `Add train to ${line.name}`,
+        do() {
+            if (record) {
+                const item = `a ${TRAIN_TYPES[train.type].name.toLowerCase()} train`;
+                return simulation.payFor(simulation.getTrainCost(train.type), item) && simulation.restoreTrain(record);
+            }
+            train = simulation.addTrainToLine(line.id);
+            return train;
+        },
+        undo() {
+            record = simulation.removeTrain(train.id);
+            simulation.economy.refund(simulation.getTrainCost(train.type));
+        }
+    };
+}
+
+/**
+ * Remove the most recently added train from a line
+ */
+export function removeTrainCommand(simulation, line) {
+    let train = null;
+    let record = null;
+    return {
+        label: `Remove train from ${line.name}`,
+        do() {
+            record = train ? simulation.removeTrain(train.id) : simulation.removeTrainFromLine(line.id);
+            if (record) {
+                train = record.train;
+            }
+            return record;
+        },
+        undo() {
+            simulation.restoreTrain(record);
+        }
+    };
+}
+
+/**
+ * Rename a line
+ */
+export function renameLineCommand(simulation, line, name) {
+    const previous = line.name;
+    return {
+        label: `Rename ${previous} to ${name.trim()}`,
+        do() {
+            return name.trim() !== previous && simulation.renameLine(line.id, name);
+        },
+        undo() {
+            simulation.renameLine(line.id, previous);
+        }
+    };
+}
+
+/**
+ * Change a line's color
+ */
+export function recolorLineCommand(simulation, line, color) {
+    const previous = line.color;
+    return {
+        label: `Recolor ${line.name}`,
+        do() {
+            return color !== previous && simulation.recolorLine(line.id, color);
+        },
+        undo() {
+            simulation.recolorLine(line.id, previous);
+        }
+    };
+} 
\ No newline at end of file
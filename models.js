@@ -5,36 +5,60 @@
 
 let nextId = 1;
 
+/**
+ * Get the next entity ID that will be assigned
+ */
+export function getNextId() {
+    return nextId;
+}
+
+/**
+ * Set the next entity ID (used when restoring a saved network)
+ */
+export function setNextId(value) {
+    nextId = value;
+}
+
+// Ways to play, with display names: build freely, lose once a station stays overcrowded too long,
+// or keep up with a growing city on a weekly stock of tracks and trains
+export const GAME_MODES = { sandbox: 'Sandbox', survival: 'Survival', campaign: 'Campaign' };
+
+const STATION_CAPACITY = 12; // Waiting passengers a station holds per importance point before it is overcrowded
+export const OVERCROWDING_LIMIT = 60000; // How long (ms) a station may stay overcrowded before a survival run ends
+const OVERCROWDING_RECOVERY = 0.5; // How fast the overcrowding timer drains once a station clears, relative to filling
+
 /**
  * Station class - represents a station where passengers spawn and board trains
  */
 export class Station {
-    constructor(x, y, importance = 3) {
+    constructor(x, y, importance = 3, rng) {
         this.id = nextId++;
         this.x = x;
         this.y = y;
         this.importance = Math.max(1, Math.min(3, importance)); // Clamp to 1-3 (1=Major Hub, 2=Regional, 3=Local)
         this.waiting = []; // Array of waiting passengers
-        this.name = this.generateStationName();
-        this.color = this.generateRandomColor();
+        this.name = this.generateStationName(rng);
+        this.color = this.generateRandomColor(rng);
         this.lastSpawn = 0; // Last passenger spawn time
+        this.role = 'mixed'; // Key of STATION_ROLES, picks the demand curve for the time of day
+        this.overcrowdedTime = 0; // How long the station has been overcrowded (ms), drains again once it clears
     }
     
     /**
-     * Generate a random station name
+     * Generate a random station name from the given random generator
      */
-    generateStationName() {
+    generateStationName(rng) {
         const prefixes = ['Central', 'North', 'South', 'East', 'West', 'Downtown', 'Uptown', 'Old', 'New'];
         const suffixes = ['Station', 'Terminal', 'Junction', 'Plaza', 'Square', 'Cross', 'Point', 'Park'];
-        const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-        const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+        const prefix = rng.pick(prefixes);
+        const suffix = rng.pick(suffixes);
         return `${prefix} ${suffix}`;
     }
     
     /**
      * Generate a random vibrant color for the station
      */
-    generateRandomColor() {
+    generateRandomColor(rng) {
         const colors = [
             '#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6',
             '#1abc9c', '#e67e22', '#34495e', '#16a085', '#27ae60',
@@ -42,7 +66,7 @@ export class Station {
             '#c0392b', '#7f8c8d', '#95a5a6', '#ff6b6b', '#4ecdc4',
             '#45b7d1', '#96ceb4', '#ffeaa7', '#dda0dd', '#98d8c8'
         ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return rng.pick(colors);
     }
     
     /**
@@ -69,6 +93,38 @@ export class Station {
         }
     }
     
+    /**
+     * Get how many waiting passengers the station holds before it is overcrowded
+     */
+    getCapacity() {
+        return STATION_CAPACITY * (4 - this.importance); // Importance 1->36, 2->24, 3->12
+    }
+    
+    /**
+     * Check if more passengers are waiting than the station holds
+     */
+    isOvercrowded() {
+        return this.waiting.length > this.getCapacity();
+    }
+    
+    /**
+     * Run the overcrowding timer up while the station is overcrowded and back down while it isn't
+     */
+    updateOvercrowding(deltaTime) {
+        if (this.isOvercrowded()) {
+            this.overcrowdedTime = Math.min(OVERCROWDING_LIMIT, this.overcrowdedTime + deltaTime);
+        } else {
+            this.overcrowdedTime = Math.max(0, this.overcrowdedTime - deltaTime * OVERCROWDING_RECOVERY);
+        }
+    }
+    
+    /**
+     * Get how far the overcrowding timer has run, from 0 (clear) to 1 (limit reached)
+     */
+    getOvercrowding() {
+        return this.overcrowdedTime / OVERCROWDING_LIMIT;
+    }
+    
     /**
      * Add a passenger to the waiting queue
      */
@@ -94,15 +150,78 @@ export class Station {
     getPassengersFor(destinationId) {
         return this.waiting.filter(p => p.dest === destinationId);
     }
+    
+    /**
+     * Get the average time (ms) the passengers waiting here have spent waiting, 0 if nobody is waiting
+     */
+    getAverageWaitingTime() {
+        if (this.waiting.length === 0) return 0;
+        return this.waiting.reduce((sum, p) => sum + p.getWaitingTime(), 0) / this.waiting.length;
+    }
+    
+    /**
+     * Serialize station state (waiting passengers are stored by ID)
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            importance: this.importance,
+            name: this.name,
+            color: this.color,
+            lastSpawn: this.lastSpawn,
+            role: this.role,
+            overcrowdedTime: this.overcrowdedTime,
+            waiting: this.waiting.map(p => p.id)
+        };
+    }
+    
+    /**
+     * Restore a station from serialized data without consuming a new ID
+     */
+    static fromJSON(data, passengersById) {
+        const station = Object.create(Station.prototype);
+        station.id = data.id;
+        station.x = data.x;
+        station.y = data.y;
+        station.importance = data.importance;
+        station.name = data.name;
+        station.color = data.color;
+        station.lastSpawn = data.lastSpawn;
+        station.role = data.role;
+        station.overcrowdedTime = data.overcrowdedTime;
+        station.waiting = data.waiting.map(id => passengersById.get(id)).filter(Boolean);
+        return station;
+    }
 }
 
+const CURVE_SAMPLES = 16; // Points sampled along each span of a smooth track
+
+// Ways a track can be laid, with display names: one line shared by both directions,
+// one line per direction, or one direction only
+export const TRACK_MODES = { single: 'Single track', double: 'Double track', oneway: 'One-way' };
+
+// Kinds of rolling stock: top speed (px/s), acceleration and braking (px/s²),
+// number of doors and how long one passenger takes to get through a door (ms)
+export const TRAIN_TYPES = {
+    commuter: { name: 'Commuter', maxSpeed: 150, acceleration: 100, deceleration: 120, doors: 6, boardingTime: 300 },
+    express: { name: 'Express', maxSpeed: 250, acceleration: 70, deceleration: 90, doors: 2, boardingTime: 400 },
+    tram: { name: 'Tram', maxSpeed: 100, acceleration: 140, deceleration: 160, doors: 4, boardingTime: 250 }
+};
+
+const MIN_DWELL = 400; // Shortest stop at a station (ms): long enough to open and close the doors
+
 /**
  * Track class - represents a connection between two stations
  */
 export class Track {
-    constructor(fromStationId, toStationId, stations) {
+    constructor(fromStationId, toStationId, stations, mode = 'single', waypoints = [], smooth = false) {
         this.from = fromStationId;
         this.to = toStationId;
+        this.mode = mode; // Key of TRACK_MODES; one-way tracks run from -> to only
+        this.waypoints = waypoints.map(({ x, y }) => ({ x, y })); // Bend points between the stations, in order from -> to
+        this.smooth = smooth; // True to draw a curve through the waypoints instead of straight legs
         
         // Calculate track properties
         const fromStation = stations.find(s => s.id === fromStationId);
@@ -112,16 +231,51 @@ export class Track {
             throw new Error('Invalid station IDs for track');
         }
         
-        const dx = toStation.x - fromStation.x;
-        const dy = toStation.y - fromStation.y;
-        this.length = Math.sqrt(dx * dx + dy * dy);
-        this.maxSpeed = 200; // pixels per second
+        this.maxSpeed = 200; // Speed limit along the track (pixels per second)
         
         // Store coordinates for rendering
         this.x1 = fromStation.x;
         this.y1 = fromStation.y;
         this.x2 = toStation.x;
         this.y2 = toStation.y;
+        
+        this.updateGeometry();
+    }
+    
+    /**
+     * Recompute the path the track follows and its arc length
+     * The path is a polyline; curves are sampled finely enough to be drawn and measured as one
+     */
+    updateGeometry() {
+        const controls = [{ x: this.x1, y: this.y1 }, ...this.waypoints, { x: this.x2, y: this.y2 }];
+        this.points = this.smooth && controls.length > 2 ? sampleCurve(controls) : controls;
+        
+        // Distance along the path at each point, so positions can be found by arc length
+        this.distances = [0];
+        for (let i = 1; i < this.points.length; i++) {
+            const a = this.points[i - 1];
+            const b = this.points[i];
+            this.distances.push(this.distances[i - 1] + distance(a.x, a.y, b.x, b.y));
+        }
+        this.length = this.distances[this.distances.length - 1];
+    }
+    
+    /**
+     * Find the path leg containing the point at a distance along the track
+     * Returns the index of the leg's first point
+     */
+    findLeg(along) {
+        let low = 0;
+        let high = this.points.length - 2;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.distances[mid] <= along) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(0, low);
     }
     
     /**
@@ -140,25 +294,113 @@ export class Track {
     }
     
     /**
-     * Get position along track given parameter t (0 to 1)
+     * Check if trains may run along this track from one station to the other
+     */
+    allows(fromId, toId) {
+        if (this.mode === 'oneway') {
+            return this.from === fromId && this.to === toId;
+        }
+        return this.connects(fromId, toId);
+    }
+    
+    /**
+     * Check if trains may run along this track in both directions
+     */
+    isBidirectional() {
+        return this.mode !== 'oneway';
+    }
+    
+    /**
+     * Get the shortest distance from a point to the track
+     */
+    distanceTo(x, y) {
+        let closest = Infinity;
+        for (let i = 0; i < this.points.length - 1; i++) {
+            const a = this.points[i];
+            const b = this.points[i + 1];
+            const legLength = this.distances[i + 1] - this.distances[i];
+            
+            // Project the point onto the leg and clamp to its ends
+            const u = legLength === 0 ? 0 : Math.max(0, Math.min(1,
+                ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / (legLength * legLength)
+            ));
+            closest = Math.min(closest, distance(x, y, a.x + (b.x - a.x) * u, a.y + (b.y - a.y) * u));
+        }
+        return closest;
+    }
+    
+    /**
+     * Get position along track given parameter t (0 to 1), measured by arc length
      */
     getPosition(t) {
         t = Math.max(0, Math.min(1, t)); // Clamp to [0, 1]
+        if (this.length === 0) {
+            return { x: this.x1, y: this.y1 };
+        }
+        
+        const along = t * this.length;
+        const i = this.findLeg(along);
+        const a = this.points[i];
+        const b = this.points[i + 1];
+        const legLength = this.distances[i + 1] - this.distances[i];
+        const u = legLength === 0 ? 0 : (along - this.distances[i]) / legLength;
+        return {
+            x: a.x + (b.x - a.x) * u,
+            y: a.y + (b.y - a.y) * u
+        };
+    }
+    
+    /**
+     * Get the unit direction of travel from -> to at parameter t
+     */
+    getDirection(t) {
+        t = Math.max(0, Math.min(1, t));
+        const i = this.findLeg(t * this.length);
+        const a = this.points[i];
+        const b = this.points[i + 1];
+        const legLength = this.distances[i + 1] - this.distances[i];
+        if (legLength === 0) {
+            return { x: 0, y: 0 };
+        }
+        return { x: (b.x - a.x) / legLength, y: (b.y - a.y) / legLength };
+    }
+    
+    /**
+     * Serialize track state (geometry is recomputed from the stations on load)
+     */
+    toJSON() {
         return {
-            x: this.x1 + (this.x2 - this.x1) * t,
-            y: this.y1 + (this.y2 - this.y1) * t
+            from: this.from,
+            to: this.to,
+            mode: this.mode,
+            waypoints: this.waypoints.map(({ x, y }) => ({ x, y })),
+            smooth: this.smooth,
+            maxSpeed: this.maxSpeed
         };
     }
+    
+    /**
+     * Restore a track from serialized data
+     */
+    static fromJSON(data, stations) {
+        const track = new Track(data.from, data.to, stations, data.mode, data.waypoints, data.smooth);
+        track.maxSpeed = data.maxSpeed;
+        return track;
+    }
 }
 
 /**
  * Train class - represents a train that moves along tracks carrying passengers
  */
 export class Train {
-    constructor(route, maxCapacity = 20) {
+    constructor(route, maxCapacity = 20, loop = false, type = 'commuter') {
         this.id = nextId++;
         this.route = [...route]; // Array of station IDs defining the route
-        this.speed = 150; // pixels per second
+        this.loop = loop; // True if the last station connects back to the first and the train circulates
+        this.lineId = null; // Line this train runs on
+        this.suspended = false; // True while the line's route is broken and the train can't run
+        this.type = type; // Key of TRAIN_TYPES
+        this.speed = 0; // Current speed (pixels per second); trains start at rest
         this.maxCapacity = maxCapacity;
         this.onboard = []; // Passengers currently on the train
         
@@ -175,11 +417,12 @@ export class Train {
         this.currentStation = route[0]; // Which station the train is currently at/near
         this.targetStation = route[1] || route[0]; // Which station we're heading to
         
-        this.direction = 1; // 1 for forward, -1 for backward along route
+        this.direction = 1; // 1 for forward, -1 for backward along route (loops always run forward)
         this.moveDirection = 1; // 1 for moving toward t=1, -1 for moving toward t=0
         this.waiting = false; // True when waiting at a station
         this.waitTime = 0; // Time spent waiting at current station
-        this.waitDuration = 1000; // How long to wait at stations (ms)
+        this.waitDuration = MIN_DWELL; // How long to wait at the current station (ms)
+        this.passengersMoved = 0; // Passengers who got on or off at the current station
     }
     
     /**
@@ -189,6 +432,33 @@ export class Train {
         this.pos.currentTrack = track;
     }
     
+    /**
+     * Get how this train runs: top speed, acceleration and braking
+     */
+    getPerformance() {
+        return TRAIN_TYPES[this.type] || TRAIN_TYPES.commuter;
+    }
+    
+    /**
+     * Start a stop at a station, with nobody having got on or off yet
+     */
+    startDwell() {
+        this.waiting = true;
+        this.waitTime = 0;
+        this.passengersMoved = 0;
+        this.waitDuration = MIN_DWELL;
+    }
+    
+    /**
+     * Count passengers getting on or off and lengthen the stop to give them time
+     * Passengers use all doors at once, so the stop lasts one boarding time per passenger per door
+     */
+    addDwellPassengers(count) {
+        const { doors, boardingTime } = this.getPerformance();
+        this.passengersMoved += count;
+        this.waitDuration = Math.max(MIN_DWELL, Math.ceil(this.passengersMoved / doors) * boardingTime);
+    }
+    
     /**
      * Add passengers to the train
      */
@@ -205,14 +475,14 @@ export class Train {
     }
     
     /**
-     * Remove passengers from the train
+     * Remove passengers whose next stop is this station (destination or transfer)
      */
     alightPassengers(stationId) {
-        const alighting = this.onboard.filter(p => p.dest === stationId);
-        this.onboard = this.onboard.filter(p => p.dest !== stationId);
+        const alighting = this.onboard.filter(p => p.getNextStop() === stationId);
+        this.onboard = this.onboard.filter(p => p.getNextStop() !== stationId);
         
         for (const passenger of alighting) {
-            passenger.arrive(); // Use the proper arrival method
+            passenger.alight(stationId); // Arrives or starts waiting for the next leg
         }
         
         return alighting;
@@ -248,46 +518,305 @@ export class Train {
         }
         return null;
     }
+    
+    /**
+     * Capture where the train is and what it is doing, so an undone edit can put it back
+     */
+    capturePosition() {
+        return {
+            pos: { ...this.pos },
+            currentStation: this.currentStation,
+            targetStation: this.targetStation,
+            direction: this.direction,
+            moveDirection: this.moveDirection,
+            waiting: this.waiting,
+            waitTime: this.waitTime,
+            waitDuration: this.waitDuration,
+            passengersMoved: this.passengersMoved,
+            speed: this.speed
+        };
+    }
+    
+    /**
+     * Restore a position captured with capturePosition()
+     */
+    restorePosition(position) {
+        this.pos = { ...position.pos };
+        this.currentStation = position.currentStation;
+        this.targetStation = position.targetStation;
+        this.direction = position.direction;
+        this.moveDirection = position.moveDirection;
+        this.waiting = position.waiting;
+        this.waitTime = position.waitTime;
+        this.waitDuration = position.waitDuration;
+        this.passengersMoved = position.passengersMoved;
+        this.speed = position.speed;
+    }
+    
+    /**
+     * Serialize train state (the current track is stored as an index into the track list)
+     */
+    toJSON(tracks) {
+        return {
+            id: this.id,
+            route: [...this.route],
+            loop: this.loop,
+            lineId: this.lineId,
+            suspended: this.suspended,
+            type: this.type,
+            speed: this.speed,
+            maxCapacity: this.maxCapacity,
+            onboard: this.onboard.map(p => p.id),
+            pos: {
+                track: this.pos.currentTrack && tracks.includes(this.pos.currentTrack) ? tracks.indexOf(this.pos.currentTrack) : null,
+                t: this.pos.t,
+                fromStation: this.pos.fromStation,
+                toStation: this.pos.toStation,
+                routeIndex: this.pos.routeIndex
+            },
+            currentStation: this.currentStation,
+            targetStation: this.targetStation,
+            direction: this.direction,
+            moveDirection: this.moveDirection,
+            waiting: this.waiting,
+            waitTime: this.waitTime,
+            waitDuration: this.waitDuration,
+            passengersMoved: this.passengersMoved
+        };
+    }
+    
+    /**
+     * Restore a train from serialized data without consuming a new ID
+     */
+    static fromJSON(data, tracks, passengersById) {
+        const train = Object.create(Train.prototype);
+        train.id = data.id;
+        train.route = [...data.route];
+        train.loop = data.loop;
+        train.lineId = data.lineId;
+        train.suspended = data.suspended;
+        train.type = data.type;
+        train.speed = data.speed;
+        train.maxCapacity = data.maxCapacity;
+        train.onboard = data.onboard.map(id => passengersById.get(id)).filter(Boolean);
+        train.pos = {
+            currentTrack: data.pos.track !== null ? tracks[data.pos.track] || null : null,
+            t: data.pos.t,
+            fromStation: data.pos.fromStation,
+            toStation: data.pos.toStation,
+            routeIndex: data.pos.routeIndex
+        };
+        train.currentStation = data.currentStation;
+        train.targetStation = data.targetStation;
+        train.direction = data.direction;
+        train.moveDirection = data.moveDirection;
+        train.waiting = data.waiting;
+        train.waitTime = data.waitTime;
+        train.waitDuration = data.waitDuration;
+        train.passengersMoved = data.passengersMoved;
+        return train;
+    }
+}
+
+// Colors assigned to new lines in turn
+export const LINE_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#ff6b6b'];
+
+/**
+ * Line class - a named, colored service with an ordered stop list that owns one or more trains
+ */
+export class Line {
+    constructor(name, color, stops, loop = false) {
+        this.id = nextId++;
+        this.name = name;
+        this.color = color;
+        this.stops = [...stops]; // Ordered station IDs, each consecutive pair connected by a track
+        this.loop = loop; // True if the last stop connects back to the first
+        this.trainIds = []; // Trains running on this line
+        this.suspended = false; // True if a removed track broke the route and no detour exists
+        this.trainType = 'commuter'; // Key of TRAIN_TYPES for every train on the line
+        this.schedule = { mode: 'none', interval: 20000 }; // mode is a key of SCHEDULE_MODES, interval in ms
+    }
+    
+    /**
+     * Get the consecutive stop pairs this line travels between (including the wrap-around for loops)
+     */
+    getSegments() {
+        const segments = [];
+        for (let i = 0; i < this.stops.length - 1; i++) {
+            segments.push([this.stops[i], this.stops[i + 1]]);
+        }
+        if (this.loop && this.stops.length > 2) {
+            segments.push([this.stops[this.stops.length - 1], this.stops[0]]);
+        }
+        return segments;
+    }
+    
+    /**
+     * Serialize line state
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            stops: [...this.stops],
+            loop: this.loop,
+            trainIds: [...this.trainIds],
+            suspended: this.suspended,
+            trainType: this.trainType,
+            schedule: { ...this.schedule }
+        };
+    }
+    
+    /**
+     * Restore a line from serialized data without consuming a new ID
+     */
+    static fromJSON(data) {
+        const line = Object.create(Line.prototype);
+        line.id = data.id;
+        line.name = data.name;
+        line.color = data.color;
+        line.stops = [...data.stops];
+        line.loop = data.loop;
+        line.trainIds = [...data.trainIds];
+        line.suspended = data.suspended;
+        line.trainType = data.trainType;
+        line.schedule = { ...data.schedule };
+        return line;
+    }
 }
 
+// Why a passenger gave up waiting, with display names
+export const LOST_REASONS = { noRoute: 'No route', trainFull: 'Train full', tooSlow: 'Too slow' };
+
+export const PASSENGER_PATIENCE = 180000; // Waiting a passenger puts up with over a whole journey (ms)
+
 /**
  * Passenger class - represents individual passengers with origin, destination, and state
  */
 export class Passenger {
-    constructor(origin, destination) {
+    constructor(origin, destination, clock, patience = PASSENGER_PATIENCE) {
         this.id = nextId++;
         this.origin = origin;
         this.dest = destination;
-        this.state = 'waiting'; // 'waiting', 'onboard', 'arrived'
-        this.spawn = Date.now(); // Timestamp when passenger was created
-        this.boardTime = null; // When passenger boarded a train
+        this.clock = clock; // Simulation clock used for all timestamps
+        this.state = 'waiting'; // 'waiting', 'onboard', 'arrived', 'lost'
+        this.spawn = clock.now(); // Simulated time when passenger was created
+        this.boardTime = null; // When passenger first boarded a train
         this.arrivalTime = null; // When passenger arrived at destination
+        
+        // Journey planning
+        this.itinerary = null; // Stops [origin, ...transfers, dest], null if no journey is possible
+        this.legIndex = 0; // Index in itinerary of the stop the passenger is at or last left
+        this.transfers = 0; // Number of times the passenger changed trains
+        this.waitStart = this.spawn; // When the current wait at a station began
+        this.totalWait = 0; // Waiting time accumulated over completed waits
+        
+        // Abandonment
+        this.patience = patience; // Total waiting (ms) before the passenger gives up
+        this.leftBehind = false; // Whether a full train serving the next stop left without them during this wait
+        this.lostAt = null; // Station where the passenger gave up
+        this.lostReason = null; // Key of LOST_REASONS
+        this.lostTime = null; // When the passenger gave up
+    }
+    
+    /**
+     * Set the planned stops, starting from the station the passenger is at
+     */
+    setItinerary(stops) {
+        this.itinerary = stops.length >= 2 ? [...stops] : null;
+        this.legIndex = 0;
+    }
+    
+    /**
+     * Get the station where the passenger next wants to alight
+     */
+    getNextStop() {
+        if (!this.itinerary) return null;
+        return this.itinerary[this.legIndex + 1] || null;
     }
     
     /**
      * Get total travel time from spawn to arrival
      */
     getTotalTravelTime() {
-        if (this.state !== 'arrived' || !this.arrivalTime) {
+        if (this.state !== 'arrived' || this.arrivalTime === null) {
             return 0;
         }
         return this.arrivalTime - this.spawn;
     }
     
     /**
-     * Get waiting time before boarding
+     * Get total time spent waiting at stations, including waits between transfers
      */
     getWaitingTime() {
-        const endTime = this.boardTime || Date.now();
-        return endTime - this.spawn;
+        const currentWait = this.state === 'waiting' ? this.clock.now() - this.waitStart : 0;
+        return this.totalWait + currentWait;
+    }
+    
+    /**
+     * Check if the passenger has waited longer than their patience allows
+     */
+    isOutOfPatience() {
+        return this.state === 'waiting' && this.getWaitingTime() > this.patience;
+    }
+    
+    /**
+     * Get why the passenger would give up now: nothing runs to their next stop, a full train
+     * left them behind, or the trains that could take them just didn't come soon enough
+     */
+    getLostReason() {
+        if (!this.itinerary) return 'noRoute';
+        return this.leftBehind ? 'trainFull' : 'tooSlow';
+    }
+    
+    /**
+     * Give up waiting at a station and leave the network
+     */
+    abandon(stationId) {
+        const now = this.clock.now();
+        this.lostReason = this.getLostReason();
+        this.lostAt = stationId;
+        this.lostTime = now;
+        this.totalWait += now - this.waitStart;
+        this.state = 'lost';
     }
     
     /**
      * Mark passenger as boarded
      */
     board() {
+        const now = this.clock.now();
         this.state = 'onboard';
-        this.boardTime = Date.now();
+        this.leftBehind = false;
+        this.totalWait += now - this.waitStart;
+        if (this.boardTime === null) {
+            this.boardTime = now;
+        }
+    }
+    
+    /**
+     * Put the passenger off a train that is taken out of service
+     * The journey is replanned from the station they are put off at
+     */
+    disembark() {
+        this.state = 'waiting';
+        this.waitStart = this.clock.now();
+    }
+    
+    /**
+     * Leave the train at a station, either arriving or waiting to transfer
+     */
+    alight(stationId) {
+        this.legIndex++;
+        if (stationId === this.dest) {
+            this.arrive();
+            return;
+        }
+        
+        this.state = 'waiting';
+        this.transfers++;
+        this.waitStart = this.clock.now();
     }
     
     /**
@@ -295,8 +824,116 @@ export class Passenger {
      */
     arrive() {
         this.state = 'arrived';
-        this.arrivalTime = Date.now();
+        this.arrivalTime = this.clock.now();
+    }
+    
+    /**
+     * Capture the journey state that edits such as removing a train change
+     */
+    captureState() {
+        return {
+            state: this.state,
+            boardTime: this.boardTime,
+            itinerary: this.itinerary ? [...this.itinerary] : null,
+            legIndex: this.legIndex,
+            transfers: this.transfers,
+            waitStart: this.waitStart,
+            totalWait: this.totalWait,
+            leftBehind: this.leftBehind
+        };
+    }
+    
+    /**
+     * Restore journey state captured with captureState()
+     */
+    restoreState(snapshot) {
+        this.state = snapshot.state;
+        this.boardTime = snapshot.boardTime;
+        this.itinerary = snapshot.itinerary ? [...snapshot.itinerary] : null;
+        this.legIndex = snapshot.legIndex;
+        this.transfers = snapshot.transfers;
+        this.waitStart = snapshot.waitStart;
+        this.totalWait = snapshot.totalWait;
+        this.leftBehind = snapshot.leftBehind;
+    }
+    
+    /**
+     * Serialize passenger state
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            origin: this.origin,
+            dest: this.dest,
+            state: this.state,
+            spawn: this.spawn,
+            boardTime: this.boardTime,
+            arrivalTime: this.arrivalTime,
+            itinerary: this.itinerary ? [...this.itinerary] : null,
+            legIndex: this.legIndex,
+            transfers: this.transfers,
+            waitStart: this.waitStart,
+            totalWait: this.totalWait,
+            patience: this.patience,
+            leftBehind: this.leftBehind,
+            lostAt: this.lostAt,
+            lostReason: this.lostReason,
+            lostTime: this.lostTime
+        };
+    }
+    
+    /**
+     * Restore a passenger from serialized data without consuming a new ID
+     */
+    static fromJSON(data, clock) {
+        const passenger = Object.create(Passenger.prototype);
+        passenger.id = data.id;
+        passenger.origin = data.origin;
+        passenger.dest = data.dest;
+        passenger.clock = clock;
+        passenger.state = data.state;
+        passenger.spawn = data.spawn;
+        passenger.boardTime = data.boardTime;
+        passenger.arrivalTime = data.arrivalTime;
+        passenger.itinerary = data.itinerary ? [...data.itinerary] : null;
+        passenger.legIndex = data.legIndex;
+        passenger.transfers = data.transfers;
+        passenger.waitStart = data.waitStart;
+        passenger.totalWait = data.totalWait;
+        passenger.patience = data.patience;
+        passenger.leftBehind = data.leftBehind;
+        passenger.lostAt = data.lostAt;
+        passenger.lostReason = data.lostReason;
+        passenger.lostTime = data.lostTime;
+        return passenger;
+    }
+}
+
+/**
+ * Sample a Catmull-Rom curve passing through every control point
+ */
+function sampleCurve(controls) {
+    const points = [controls[0]];
+    const last = controls.length - 1;
+    
+    for (let i = 0; i < last; i++) {
+        // Neighbouring controls shape the span; the ends reuse their own point
+        const p0 = controls[Math.max(0, i - 1)];
+        const p1 = controls[i];
+        const p2 = controls[i + 1];
+        const p3 = controls[Math.min(last, i + 2)];
+        
+        for (let step = 1; step <= CURVE_SAMPLES; step++) {
+            const s = step / CURVE_SAMPLES;
+            const s2 = s * s;
+            const s3 = s2 * s;
+            const blend = (a, b, c, d) => 0.5 * (
+                2 * b + (c - a) * s + (2 * a - 5 * b + 4 * c - d) * s2 + (3 * b - a - 3 * c + d) * s3
+            );
+            points.push({ x: blend(p0.x, p1.x, p2.x, p3.x), y: blend(p0.y, p1.y, p2.y, p3.y) });
+        }
     }
+    return points;
 }
 
 /**
@@ -0,0 +1,385 @@
+/**
+ * Save and load support for railway networks
+ * Serializes game state into a versioned JSON document and restores it
+ *
+ * Document format (version 18):
+ * {
+ *   format: 'minimetropolis-network',
+ *   version: 18,
+ *   savedAt: ISO 8601 timestamp,
+ *   nextId: next entity ID to assign (shared by stations, trains and passengers),
+ *   simulationSpeed: speed multiplier of the view that saved the file (optional),
+ *   clockTime: simulated time (ms),
+ *   seed: random seed the run was started with,
+ *   rngState: internal state of the seeded random generator,
+ *   demandCurves: { [role]: [[hour, multiplier]] } passenger demand through the day per station role,
+ *   odMatrix: [[originStationId, destinationStationId, trips per hour]] surveyed demand between stations,
+ *   lostTrips: [[stationId, { noRoute, trainFull, tooSlow }]] passengers who gave up waiting, by station and reason,
+ *   economy: { balance, totals: { fares, construction, operations } } money earned and spent since the start,
+ *   mode: 'sandbox' | 'survival' | 'campaign', modeStart: { time, delivered } when the mode was entered,
+ *   passengersSpawned: passengers who set out, passengersDelivered: passengers who reached their destination,
+ *   deliveredTransfers: transfers made by delivered passengers,
+ *   gameOver: null or { won, reason, stationId or null, time, survived, score, lostTrips, stations, lines, trains,
+ *              week or null } summary of a finished survival or campaign run,
+ *   campaign: null or { bounds: { width, height }, target, startTime, week, granted: { tracks, trains },
+ *              pendingRewards, upgrades: { capacity, speed }, nextStationTime } while in campaign mode,
+ *   stations: [{ id, x, y, importance, name, color, lastSpawn, role, overcrowdedTime (ms), waiting: [passengerId] }],
+ *   tracks: [{ from: stationId, to: stationId, mode: 'single' | 'double' | 'oneway' (from -> to),
+ *              waypoints: [{ x, y }] bend points in order from -> to, smooth, maxSpeed (px/s) }],
+ *   lines: [{ id, name, color, stops: [stationId], loop, trainIds: [trainId], suspended, trainType,
+ *             schedule: { mode: 'none' | 'headway' | 'timetable', interval (ms) } }],
+ *   trains: [{ id, route: [stationId], loop, lineId, suspended, type, speed (current, px/s), maxCapacity,
+ *              onboard: [passengerId],
+ *              pos: { track: index into tracks or null, t, fromStation, toStation, routeIndex },
+ *              currentStation, targetStation, direction, moveDirection,
+ *              waiting, waitTime, waitDuration, passengersMoved }],
+ *   passengers: [{ id, origin, dest, state: 'waiting' | 'onboard', spawn, boardTime, arrivalTime,
+ *                  itinerary: [stationId] or null, legIndex, transfers, waitStart, totalWait,
+ *                  patience (ms), leftBehind, lostAt: stationId or null, lostReason, lostTime }],
+ *   timetable: { departures: [{ trainId, lineId, stationId, toId, planned, actual }],
+ *                plans: [[trainId, { stationId, time, slot }]], lastDepartures: [[key, time]], slots: [[key, time]] }
+ *   (timetable keys are `${lineId}:${fromStationId}>${toStationId}`)
+ * }
+ *
+ * Passengers still travelling are stored once in `passengers` and referenced by ID from
+ * station waiting lists and train onboard lists; finished trips are only counted. All times (lastSpawn,
+ * spawn, boardTime, arrivalTime, waitStart, lostTime) are simulated milliseconds.
+ *
+ * Version history:
+ *   1 - initial format, times were wall-clock timestamps
+ *   2 - simulation clock and seeded random generator
+ *   3 - multi-leg passenger itineraries with transfers
+ *   4 - loop (circular) train routes
+ *   5 - named, colored lines owning trains
+ *   6 - suspended lines and trains after track removal
+ *   7 - track modes (single, double, one-way)
+ *   8 - track waypoints and smooth curves
+ *   9 - train types with acceleration and braking, track speed limits
+ *  10 - dwell time set by passengers getting on and off
+ *  11 - line schedules and the departure log
+ *  12 - time-of-day demand curves and station roles
+ *  13 - imported origin-destination matrix
+ *  14 - passenger patience and lost trips
+ *  15 - station overcrowding and survival mode
+ *  16 - construction and operating costs, fare revenue
+ *  17 - campaign mode, won and lost game summaries
+ *  18 - finished passengers counted instead of kept
+ */
+
+import { Station, Track, Train, Line, Passenger, LINE_COLORS, PASSENGER_PATIENCE, getNextId } from './models.js';
+import { SimulationClock } from './clock.js';
+import { SeededRandom } from './random.js';
+import { DEFAULT_DEMAND_CURVES, ODMatrix, copyDemandCurves } from './demand.js';
+import { Economy, STARTING_BALANCE } from './economy.js';
+
+export const SAVE_FORMAT = 'minimetropolis-network';
+export const SAVE_VERSION = 18;
+
+/**
+ * Migrations between format versions
+ * Key is the version a migration upgrades from; each returns a document one version newer
+ */
+const migrations = {
+    // Rebase wall-clock timestamps onto a simulation clock starting at zero
+    1: (doc) => {
+        const savedAt = Date.parse(doc.savedAt) || 0;
+        const rebase = time => (time === null ? null : time - savedAt);
+        
+        return {
+            ...doc,
+            version: 2,
+            clockTime: 0,
+            seed: savedAt >>> 0,
+            rngState: savedAt >>> 0,
+            stations: doc.stations.map(s => ({ ...s, lastSpawn: rebase(s.lastSpawn) })),
+            passengers: doc.passengers.map(p => ({
+                ...p,
+                spawn: rebase(p.spawn),
+                boardTime: rebase(p.boardTime),
+                arrivalTime: rebase(p.arrivalTime)
+            }))
+        };
+    },
+    
+    // Single-leg journeys: onboard and arrived passengers rode straight to their destination,
+    // waiting passengers are replanned when the network is loaded
+    2: (doc) => ({
+        ...doc,
+        version: 3,
+        passengers: doc.passengers.map(p => ({
+            ...p,
+            itinerary: p.state === 'waiting' ? null : [p.origin, p.dest],
+            legIndex: p.state === 'arrived' ? 1 : 0,
+            transfers: 0,
+            waitStart: p.spawn,
+            totalWait: p.boardTime !== null ? p.boardTime - p.spawn : 0
+        }))
+    }),
+    
+    // All earlier trains were ping-pong shuttles
+    3: (doc) => ({
+        ...doc,
+        version: 4,
+        trains: doc.trains.map(t => ({ ...t, loop: false }))
+    }),
+    
+    // Give every existing train its own line, numbered and colored in creation order
+    4: (doc) => {
+        let nextId = doc.nextId;
+        const lines = doc.trains.map((t, i) => ({
+            id: nextId++,
+            name: `Line ${i + 1}`,
+            color: LINE_COLORS[i % LINE_COLORS.length],
+            stops: [...t.route],
+            loop: t.loop,
+            trainIds: [t.id]
+        }));
+        
+        return {
+            ...doc,
+            version: 5,
+            nextId,
+            lines,
+            trains: doc.trains.map((t, i) => ({ ...t, lineId: lines[i].id }))
+        };
+    },
+    
+    // Tracks could not be removed before, so nothing was suspended
+    5: (doc) => ({
+        ...doc,
+        version: 6,
+        lines: doc.lines.map(l => ({ ...l, suspended: false })),
+        trains: doc.trains.map(t => ({ ...t, suspended: false }))
+    }),
+    
+    // Every earlier track was a single line used in both directions
+    6: (doc) => ({
+        ...doc,
+        version: 7,
+        tracks: doc.tracks.map(t => ({ ...t, mode: 'single' }))
+    }),
+    
+    // Every earlier track was a straight line between its stations
+    7: (doc) => ({
+        ...doc,
+        version: 8,
+        tracks: doc.tracks.map(t => ({ ...t, waypoints: [], smooth: false }))
+    }),
+    
+    // Trains all ran at a constant 150 px/s, so those under way keep that speed and brake from it
+    8: (doc) => ({
+        ...doc,
+        version: 9,
+        tracks: doc.tracks.map(t => ({ ...t, maxSpeed: 200 })),
+        lines: doc.lines.map(l => ({ ...l, trainType: 'commuter' })),
+        trains: doc.trains.map(t => ({ ...t, type: 'commuter', speed: t.waiting || t.pos.track === null ? 0 : 150 }))
+    }),
+    
+    // Stops had a fixed length; trains already standing at a station keep theirs
+    9: (doc) => ({
+        ...doc,
+        version: 10,
+        trains: doc.trains.map(t => ({ ...t, passengersMoved: 0 }))
+    }),
+    
+    // Every line ran freely
+    10: (doc) => ({
+        ...doc,
+        version: 11,
+        lines: doc.lines.map(l => ({ ...l, schedule: { mode: 'none', interval: 20000 } })),
+        timetable: { departures: [], plans: [], lastDepartures: [], slots: [] }
+    }),
+    
+    // Demand used to be the same all day; the default curves average out close to that
+    11: (doc) => ({
+        ...doc,
+        version: 12,
+        demandCurves: copyDemandCurves(DEFAULT_DEMAND_CURVES),
+        stations: doc.stations.map(s => ({ ...s, role: 'mixed' }))
+    }),
+    
+    // All demand came from the gravity model
+    12: (doc) => ({
+        ...doc,
+        version: 13,
+        odMatrix: []
+    }),
+    
+    // Passengers waited forever; those still on their way get the full patience on top of what they have waited
+    13: (doc) => ({
+        ...doc,
+        version: 14,
+        lostTrips: [],
+        passengers: doc.passengers.map(p => ({
+            ...p,
+            patience: PASSENGER_PATIENCE + p.totalWait + (p.state === 'waiting' ? doc.clockTime - p.waitStart : 0),
+            leftBehind: false,
+            lostAt: null,
+            lostReason: null,
+            lostTime: null
+        }))
+    }),
+    
+    // Nothing could be lost; the delivered count is rebuilt from the passengers still on record
+    14: (doc) => {
+        const delivered = doc.passengers.filter(p => p.state === 'arrived').length;
+        return {
+            ...doc,
+            version: 15,
+            mode: 'sandbox',
+            modeStart: { time: doc.clockTime, delivered },
+            passengersDelivered: delivered,
+            gameOver: null,
+            stations: doc.stations.map(s => ({ ...s, overcrowdedTime: 0 }))
+        };
+    },
+    
+    // Building was free; what is already built is kept and the full starting balance is available
+    15: (doc) => ({
+        ...doc,
+        version: 16,
+        economy: { balance: STARTING_BALANCE, totals: { fares: 0, construction: 0, operations: 0 } }
+    }),
+    
+    // Only survival runs could end, always lost to an overcrowded station
+    16: (doc) => {
+        const summary = doc.gameOver;
+        return {
+            ...doc,
+            version: 17,
+            campaign: null,
+            gameOver: summary && {
+                won: false,
+                reason: `${summary.stationName} was overcrowded for too long ` +
+                    `(${summary.waiting} waiting, room for ${summary.capacity})`,
+                stationId: summary.stationId,
+                time: summary.time,
+                survived: summary.survived,
+                score: summary.score,
+                lostTrips: summary.lostTrips,
+                stations: summary.stations,
+                lines: summary.lines,
+                trains: summary.trains,
+                week: null
+            }
+        };
+    },
+    
+    // Every passenger ever spawned was kept; the counts are taken from them before the finished ones go
+    17: (doc) => {
+        const arrived = doc.passengers.filter(p => p.state === 'arrived');
+        return {
+            ...doc,
+            version: 18,
+            passengersSpawned: doc.passengers.length,
+            deliveredTransfers: arrived.reduce((sum, p) => sum + p.transfers, 0),
+            passengers: doc.passengers.filter(p => p.state === 'waiting' || p.state === 'onboard')
+        };
+    }
+};
+
+/**
+ * Serialize the simulation state into a save document
+ */
+export function serializeNetwork(simulation, options = {}) {
+    return {
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        nextId: getNextId(),
+        simulationSpeed: options.simulationSpeed !== undefined ? options.simulationSpeed : 1,
+        clockTime: simulation.clock.now(),
+        seed: simulation.rng.seed,
+        rngState: simulation.rng.state,
+        demandCurves: copyDemandCurves(simulation.demandCurves),
+        odMatrix: simulation.odMatrix.toJSON(),
+        lostTrips: [...simulation.lostTrips].map(([stationId, counts]) => [stationId, { ...counts }]),
+        economy: simulation.economy.toJSON(),
+        mode: simulation.mode,
+        modeStart: { ...simulation.modeStart },
+        passengersSpawned: simulation.passengersSpawned,
+        passengersDelivered: simulation.passengersDelivered,
+        deliveredTransfers: simulation.deliveredTransfers,
+        gameOver: simulation.gameOver ? { ...simulation.gameOver } : null,
+        campaign: simulation.campaign ? simulation.campaign.toJSON() : null,
+        stations: simulation.stations.map(station => station.toJSON()),
+        tracks: simulation.tracks.map(track => track.toJSON()),
+        lines: simulation.lines.map(line => line.toJSON()),
+        trains: simulation.trains.map(train => train.toJSON(simulation.tracks)),
+        passengers: simulation.allPassengers.map(passenger => passenger.toJSON()),
+        timetable: simulation.timetable.toJSON()
+    };
+}
+
+/**
+ * Upgrade a save document to the current format version
+ */
+export function migrateNetwork(doc) {
+    if (!doc || doc.format !== SAVE_FORMAT) {
+        throw new Error('Not a MINIMETROPOLIS network file');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new Error(`Invalid format version: ${doc.version}`);
+    }
+    if (doc.version > SAVE_VERSION) {
+        throw new Error(`File version ${doc.version} is newer than supported version ${SAVE_VERSION}`);
+    }
+    
+    let migrated = doc;
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = migrations[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration from format version ${migrated.version}`);
+        }
+        migrated = migrate(migrated);
+    }
+    
+    return migrated;
+}
+
+/**
+ * Restore game entities from a save document
+ * Returns { nextId, simulationSpeed, clock, rng, demandCurves, odMatrix, lostTrips, economy, mode, modeStart,
+ * passengersSpawned, passengersDelivered, deliveredTransfers, gameOver, campaign, stations, tracks, lines, trains,
+ * passengers, timetable }
+ * The timetable and campaign are returned as plain data since they belong to the simulation they are loaded into
+ */
+export function deserializeNetwork(doc) {
+    const data = migrateNetwork(doc);
+    
+    const clock = new SimulationClock(data.clockTime);
+    const rng = new SeededRandom(data.seed);
+    rng.state = data.rngState >>> 0;
+    
+    const passengers = data.passengers.map(p => Passenger.fromJSON(p, clock));
+    const passengersById = new Map(passengers.map(p => [p.id, p]));
+    
+    const stations = data.stations.map(s => Station.fromJSON(s, passengersById));
+    const tracks = data.tracks.map(t => Track.fromJSON(t, stations));
+    const lines = data.lines.map(l => Line.fromJSON(l));
+    const trains = data.trains.map(t => Train.fromJSON(t, tracks, passengersById));
+    
+    return {
+        nextId: data.nextId,
+        simulationSpeed: data.simulationSpeed !== undefined ? data.simulationSpeed : 1,
+        clock,
+        rng,
+        demandCurves: copyDemandCurves(data.demandCurves),
+        odMatrix: ODMatrix.fromJSON(data.odMatrix),
+        lostTrips: new Map(data.lostTrips.map(([stationId, counts]) => [stationId, { ...counts }])),
+        economy: Economy.fromJSON(data.economy),
+        mode: data.mode,
+        modeStart: { ...data.modeStart },
+        passengersSpawned: data.passengersSpawned,
+        passengersDelivered: data.passengersDelivered,
+        deliveredTransfers: data.deliveredTransfers,
+        gameOver: data.gameOver ? { ...data.gameOver } : null,
+        campaign: data.campaign,
+        stations,
+        tracks,
+        lines,
+        trains,
+        passengers,
+        timetable: data.timetable
+    };
+} 
\ No newline at end of file
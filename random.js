@@ -0,0 +1,46 @@
+/**
+ * Seedable random number generator for railway simulation
+ * Uses the mulberry32 algorithm so the same seed always yields the same sequence
+ */
+
+/**
+ * SeededRandom class - drop-in replacement for Math.random() with a reproducible stream
+ */
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0; // Seed the generator was created with
+        this.state = this.seed; // Current internal state
+    }
+    
+    /**
+     * Get the next random number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Get a random integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * Pick a random element from an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
+
+/**
+ * Generate a fresh seed when none was requested
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+} 
\ No newline at end of file
@@ -0,0 +1,520 @@
+/**
+ * Canvas renderer for railway simulation
+ * Draws the simulation state and UI overlays; reads from the simulation but never mutates it
+ */
+
+import { STATION_ROLES } from './demand.js';
+import { PASSENGER_PATIENCE } from './models.js';
+
+const LINE_WIDTH = 4; // Width of a line drawn over a track
+const LINE_SPACING = 5; // Sideways distance between parallel lines sharing a track
+const DOUBLE_TRACK_GAP = 3; // Sideways distance of each rail of a double track from its centre
+const ONE_WAY_ARROW_SPACING = 60; // Distance between direction arrows on one-way tracks
+const FLOW_MIN_WIDTH = 3; // Width of a heatmap track that carried few passengers
+const FLOW_MAX_WIDTH = 14; // Width of the heatmap track that carried the most passengers
+const WAIT_SCALE = PASSENGER_PATIENCE / 2; // Average wait shown in the hottest tint, half of what passengers put up with
+const LEGEND_WIDTH = 160; // Length of each colour scale in the heatmap legend
+
+/**
+ * Get the heatmap colour for a share from 0 (cool green) through yellow to 1 (hot red)
+ */
+function heatColor(share, alpha = 1) {
+    const hue = 120 * (1 - Math.max(0, Math.min(1, share)));
+    return `hsla(${Math.round(hue)}, 80%, 50%, ${alpha})`;
+}
+
+export class Renderer {
+    constructor(canvas, simulation, ui) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.simulation = simulation;
+        this.ui = ui;
+    }
+    
+    /**
+     * Render the entire game
+     */
+    render() {
+        // Clear canvas
+        this.ctx.fillStyle = '#34495e';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Render tracks and the lines running over them, or the flow over each track for the heatmap
+        const lineOffsets = this.getLineOffsets();
+        const heatmap = this.ui.isHeatmapVisible();
+        if (heatmap) {
+            this.renderTrackFlows();
+            this.renderStationWaits();
+        } else {
+            this.renderTracks();
+            this.renderLines(lineOffsets);
+        }
+        
+        // Render stations
+        this.renderStations();
+        
+        // Render trains
+        this.renderTrains(lineOffsets);
+        
+        // Render UI overlays
+        this.renderUIOverlays();
+        if (heatmap) {
+            this.renderHeatmapLegend();
+        }
+    }
+    
+    /**
+     * Render all tracks
+     */
+    renderTracks() {
+        const selectedTrack = this.ui.getSelectedTrack();
+        
+        for (const track of this.simulation.tracks) {
+            const isSelected = track === selectedTrack;
+            this.ctx.strokeStyle = isSelected ? '#ff4757' : '#95a5a6';
+            
+            if (track.mode === 'double') {
+                // Two rails side by side, one per direction
+                this.ctx.lineWidth = isSelected ? 4 : 2;
+                for (const side of [-1, 1]) {
+                    this.traceTrack(track, DOUBLE_TRACK_GAP * side);
+                    this.ctx.stroke();
+                }
+                continue;
+            }
+            
+            this.ctx.lineWidth = isSelected ? 6 : 3;
+            this.traceTrack(track);
+            this.ctx.stroke();
+            
+            if (track.mode === 'oneway') {
+                this.renderOneWayArrows(track);
+            }
+        }
+    }
+    
+    /**
+     * Render each track coloured and thickened by the passengers carried over it recently
+     * Tracks nobody travelled over stay thin and grey so unused segments stand out
+     */
+    renderTrackFlows() {
+        const flows = this.simulation.statistics.getTrackFlows();
+        const maxFlow = Math.max(0, ...this.simulation.tracks.map(track => flows.get(track) || 0));
+        
+        this.ctx.lineCap = 'round';
+        for (const track of this.simulation.tracks) {
+            const flow = flows.get(track) || 0;
+            const share = maxFlow > 0 ? flow / maxFlow : 0;
+            this.ctx.strokeStyle = flow > 0 ? heatColor(share) : '#7f8c8d';
+            this.ctx.lineWidth = flow > 0 ? FLOW_MIN_WIDTH + share * (FLOW_MAX_WIDTH - FLOW_MIN_WIDTH) : 2;
+            this.traceTrack(track);
+            this.ctx.stroke();
+        }
+        this.ctx.lineCap = 'butt';
+    }
+    
+    /**
+     * Render a tinted halo behind each station by the average wait of its passengers
+     */
+    renderStationWaits() {
+        for (const station of this.simulation.stations) {
+            const share = station.getAverageWaitingTime() / WAIT_SCALE;
+            this.ctx.fillStyle = heatColor(share, 0.45);
+            this.ctx.beginPath();
+            this.ctx.arc(station.x, station.y, station.getSize() + 10, 0, 2 * Math.PI);
+            this.ctx.fill();
+        }
+    }
+    
+    /**
+     * Render the heatmap legend at the bottom of the view: the track flow and station wait scales
+     */
+    renderHeatmapLegend() {
+        const flows = this.simulation.statistics.getTrackFlows();
+        const maxFlow = Math.max(0, ...this.simulation.tracks.map(track => flows.get(track) || 0));
+        const scales = [
+            { title: 'Passengers carried (last hour)', low: '0', high: `${maxFlow}` },
+            { title: 'Average wait at station', low: '0s', high: `${WAIT_SCALE / 1000}s+` }
+        ];
+        
+        const width = LEGEND_WIDTH * 2 + 60;
+        const left = (this.canvas.width - width) / 2;
+        const top = this.canvas.height - 70;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(left, top, width, 50);
+        
+        this.ctx.font = '10px Arial';
+        this.ctx.textBaseline = 'alphabetic';
+        scales.forEach(({ title, low, high }, i) => {
+            const x = left + 20 + i * (LEGEND_WIDTH + 20);
+            this.ctx.fillStyle = 'white';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(title, x, top + 14);
+            
+            const gradient = this.ctx.createLinearGradient(x, 0, x + LEGEND_WIDTH, 0);
+            for (const stop of [0, 0.5, 1]) {
+                gradient.addColorStop(stop, heatColor(stop));
+            }
+            this.ctx.fillStyle = gradient;
+            this.ctx.fillRect(x, top + 20, LEGEND_WIDTH, 8);
+            
+            this.ctx.fillStyle = '#bdc3c7';
+            this.ctx.fillText(low, x, top + 40);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(high, x + LEGEND_WIDTH, top + 40);
+        });
+    }
+    
+    /**
+     * Draw chevrons along a one-way track pointing in its direction of travel
+     */
+    renderOneWayArrows(track) {
+        const count = Math.max(1, Math.floor(track.length / ONE_WAY_ARROW_SPACING));
+        
+        this.ctx.fillStyle = this.ctx.strokeStyle;
+        for (let i = 1; i <= count; i++) {
+            const t = i / (count + 1);
+            const { x, y } = track.getPosition(t);
+            const direction = track.getDirection(t);
+            const angle = Math.atan2(direction.y, direction.x);
+            this.ctx.save();
+            this.ctx.translate(x, y);
+            this.ctx.rotate(angle);
+            this.ctx.beginPath();
+            this.ctx.moveTo(6, 0);
+            this.ctx.lineTo(-4, -5);
+            this.ctx.lineTo(-4, 5);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.restore();
+        }
+    }
+    
+    /**
+     * Work out the sideways offset of each line on each track so parallel lines don't overlap
+     * Returns a Map of track -> Map of lineId -> offset in pixels
+     */
+    getLineOffsets() {
+        const linesByTrack = new Map();
+        for (const line of this.simulation.lines) {
+            for (const [fromId, toId] of line.getSegments()) {
+                const track = this.simulation.findTrack(fromId, toId);
+                if (!track) continue;
+                
+                if (!linesByTrack.has(track)) {
+                    linesByTrack.set(track, []);
+                }
+                const lineIds = linesByTrack.get(track);
+                if (!lineIds.includes(line.id)) {
+                    lineIds.push(line.id);
+                }
+            }
+        }
+        
+        const offsets = new Map();
+        for (const [track, lineIds] of linesByTrack) {
+            const lanes = new Map();
+            lineIds.forEach((lineId, i) => {
+                lanes.set(lineId, (i - (lineIds.length - 1) / 2) * LINE_SPACING);
+            });
+            offsets.set(track, lanes);
+        }
+        return offsets;
+    }
+    
+    /**
+     * Get the unit normal of a track at parameter t (perpendicular to its from -> to direction)
+     */
+    getTrackNormal(track, t = 0.5) {
+        if (track.length === 0) return { x: 0, y: 0 };
+        const direction = track.getDirection(t);
+        return { x: -direction.y, y: direction.x };
+    }
+    
+    /**
+     * Start a canvas path along a track's points, shifted sideways by an offset in pixels
+     * Each point moves along the normal of the chord through its neighbours, so bends stay parallel
+     */
+    traceTrack(track, offset = 0) {
+        const points = track.points;
+        this.ctx.beginPath();
+        points.forEach((point, i) => {
+            const before = points[Math.max(0, i - 1)];
+            const after = points[Math.min(points.length - 1, i + 1)];
+            const length = Math.hypot(after.x - before.x, after.y - before.y);
+            const nx = length === 0 ? 0 : -(after.y - before.y) / length;
+            const ny = length === 0 ? 0 : (after.x - before.x) / length;
+            
+            const x = point.x + nx * offset;
+            const y = point.y + ny * offset;
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+    }
+    
+    /**
+     * Render every line along its tracks in its own color
+     */
+    renderLines(lineOffsets) {
+        this.ctx.lineWidth = LINE_WIDTH;
+        this.ctx.lineCap = 'round';
+        
+        for (const line of this.simulation.lines) {
+            this.ctx.strokeStyle = line.color;
+            
+            for (const [fromId, toId] of line.getSegments()) {
+                const track = this.simulation.findTrack(fromId, toId);
+                if (!track) continue;
+                
+                this.traceTrack(track, lineOffsets.get(track).get(line.id));
+                this.ctx.stroke();
+            }
+        }
+        
+        this.ctx.lineCap = 'butt';
+    }
+    
+    /**
+     * Render all stations
+     */
+    renderStations() {
+        for (const station of this.simulation.stations) {
+            this.renderStation(station);
+        }
+    }
+    
+    /**
+     * Render a single station
+     */
+    renderStation(station) {
+        const isSelected = this.ui.isStationSelected(station);
+        const isHovered = this.ui.getHoveredStation() === station;
+        const stationSize = station.getSize();
+        
+        // Station circle - use random color or override for interaction states
+        this.ctx.fillStyle = station.color;
+        if (isSelected) {
+            this.ctx.fillStyle = '#ff4757'; // Bright red for selection
+        } else if (isHovered) {
+            this.ctx.fillStyle = '#ffa502'; // Orange for hover
+        }
+        
+        this.ctx.beginPath();
+        this.ctx.arc(station.x, station.y, stationSize, 0, 2 * Math.PI);
+        this.ctx.fill();
+        
+        // Station border
+        this.ctx.strokeStyle = '#2c3e50';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        
+        this.renderOvercrowding(station, stationSize);
+        
+        // Station name (abbreviated for space)
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = `${Math.max(8, stationSize - 6)}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        // Show abbreviated name or just first letter for small stations
+        let displayText = station.name;
+        if (stationSize < 15) {
+            displayText = station.name.charAt(0); // Just first letter for small stations
+        } else if (displayText.length > 8) {
+            displayText = displayText.split(' ').map(word => word.charAt(0)).join(''); // Initials
+        }
+        
+        this.ctx.fillText(displayText, station.x, station.y);
+        
+        // Waiting passengers indicator, out of what the station holds
+        if (station.waiting.length > 0) {
+            this.ctx.fillStyle = station.isOvercrowded() ? '#e74c3c' : '#e67e22';
+            this.ctx.font = '10px Arial';
+            this.ctx.textAlign = 'left';
+            const count = `${station.waiting.length}/${station.getCapacity()}`;
+            this.ctx.fillText(count, station.x + stationSize + 5, station.y - stationSize + 5);
+        }
+        
+        // Importance and role label
+        if (isHovered || isSelected) {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.font = '9px Arial';
+            this.ctx.textAlign = 'center';
+            const label = `${station.getImportanceLabel()} · ${STATION_ROLES[station.role]}`;
+            this.ctx.fillText(label, station.x, station.y + stationSize + 15);
+        }
+    }
+    
+    /**
+     * Draw a station's overcrowding timer as a ring filling clockwise from the top, red in its last quarter
+     */
+    renderOvercrowding(station, stationSize) {
+        const overcrowding = station.getOvercrowding();
+        if (overcrowding <= 0) return;
+        
+        const radius = stationSize + 5;
+        const start = -Math.PI / 2;
+        this.ctx.lineWidth = 3;
+        
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        this.ctx.beginPath();
+        this.ctx.arc(station.x, station.y, radius, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        
+        this.ctx.strokeStyle = overcrowding > 0.75 ? '#e74c3c' : '#f39c12';
+        this.ctx.beginPath();
+        this.ctx.arc(station.x, station.y, radius, start, start + overcrowding * 2 * Math.PI);
+        this.ctx.stroke();
+    }
+    
+    /**
+     * Render all trains
+     */
+    renderTrains(lineOffsets) {
+        for (const train of this.simulation.trains) {
+            this.renderTrain(train, lineOffsets);
+        }
+    }
+    
+    /**
+     * Render a single train in its line's color, in its line's lane on the track
+     */
+    renderTrain(train, lineOffsets) {
+        const pos = train.getPosition();
+        const line = this.simulation.getLine(train.lineId);
+        const track = train.pos.currentTrack;
+        
+        const lanes = track && lineOffsets.get(track);
+        if (lanes && lanes.has(train.lineId)) {
+            const offset = lanes.get(train.lineId);
+            const normal = this.getTrackNormal(track, train.pos.t);
+            pos.x += normal.x * offset;
+            pos.y += normal.y * offset;
+        }
+        
+        // Train body
+        this.ctx.fillStyle = line ? line.color : '#e74c3c';
+        this.ctx.beginPath();
+        this.ctx.arc(pos.x, pos.y, 8, 0, 2 * Math.PI);
+        this.ctx.fill();
+        
+        // Train border
+        this.ctx.strokeStyle = '#2c3e50';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        
+        // Red ring while stopped at a signal between stations
+        if (this.simulation.signalling.isHeldAtSignal(train)) {
+            this.ctx.strokeStyle = '#e74c3c';
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, 12, 0, 2 * Math.PI);
+            this.ctx.stroke();
+        }
+        
+        // Direction of travel
+        this.renderTrainDirection(train, pos);
+        
+        // Passenger count
+        if (train.onboard.length > 0) {
+            this.ctx.fillStyle = 'white';
+            this.ctx.font = '8px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(train.onboard.length.toString(), pos.x, pos.y + 2);
+        }
+        
+        // Warning for trains suspended by a broken route
+        if (train.suspended) {
+            this.ctx.fillStyle = '#f1c40f';
+            this.ctx.font = '14px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('⚠', pos.x, pos.y - 16);
+        }
+    }
+    
+    /**
+     * Render an arrowhead ahead of the train pointing the way it is moving
+     */
+    renderTrainDirection(train, pos) {
+        const track = train.pos.currentTrack;
+        if (!track || track.length === 0) return;
+        
+        const sign = train.moveDirection || 1;
+        const direction = track.getDirection(train.pos.t);
+        const dx = direction.x * sign;
+        const dy = direction.y * sign;
+        const tipX = pos.x + dx * 15;
+        const tipY = pos.y + dy * 15;
+        
+        this.ctx.fillStyle = train.loop ? '#f1c40f' : '#ecf0f1';
+        this.ctx.beginPath();
+        this.ctx.moveTo(tipX, tipY);
+        this.ctx.lineTo(pos.x + dx * 9 - dy * 4, pos.y + dy * 9 + dx * 4);
+        this.ctx.lineTo(pos.x + dx * 9 + dy * 4, pos.y + dy * 9 - dx * 4);
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+    
+    /**
+     * Render UI overlays (preview lines, etc.)
+     */
+    renderUIOverlays() {
+        const selectedStation = this.ui.getSelectedStation();
+        const mousePos = this.ui.getMousePosition();
+        
+        // Draw preview line for track tool, through the bend points placed so far
+        if (this.ui.currentTool === 'track' && selectedStation) {
+            const waypoints = this.ui.getTrackWaypoints();
+            this.ctx.strokeStyle = '#f39c12';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(selectedStation.x, selectedStation.y);
+            for (const point of waypoints) {
+                this.ctx.lineTo(point.x, point.y);
+            }
+            this.ctx.lineTo(mousePos.x, mousePos.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            this.ctx.fillStyle = '#f39c12';
+            for (const point of waypoints) {
+                this.ctx.beginPath();
+                this.ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI);
+                this.ctx.fill();
+            }
+        }
+        
+        // Draw the route picked so far for train tool
+        const routeStops = this.ui.getRouteStops();
+        if (this.ui.currentTool === 'train' && routeStops.length > 0) {
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([5, 5]);
+            
+            this.ctx.strokeStyle = '#f39c12';
+            this.ctx.beginPath();
+            this.ctx.moveTo(routeStops[0].x, routeStops[0].y);
+            for (const stop of routeStops.slice(1)) {
+                this.ctx.lineTo(stop.x, stop.y);
+            }
+            this.ctx.stroke();
+            
+            // Segment to the cursor turns red over a station the last stop has no usable track to
+            const lastStop = routeStops[routeStops.length - 1];
+            const hovered = this.ui.getHoveredStation();
+            const track = hovered && hovered !== lastStop && this.simulation.findTrack(lastStop.id, hovered.id);
+            const unreachable = hovered && hovered !== lastStop && !(track && track.allows(lastStop.id, hovered.id));
+            this.ctx.strokeStyle = unreachable ? '#e74c3c' : '#f39c12';
+            this.ctx.beginPath();
+            this.ctx.moveTo(lastStop.x, lastStop.y);
+            this.ctx.lineTo(mousePos.x, mousePos.y);
+            this.ctx.stroke();
+            
+            this.ctx.setLineDash([]);
+        }
+    }
+} 
\ No newline at end of file
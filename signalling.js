@@ -0,0 +1,175 @@
+/**
+ * Block signalling for railway simulation
+ * Divides tracks into blocks that hold at most one train, keeps single-track sections to one
+ * direction at a time (trains pass each other at stations) and reports deadlocked trains.
+ * Double track has a separate set of blocks for each direction.
+ */
+
+const BLOCK_LENGTH = 120; // Target block length (px); every track has at least one block
+const SIGNAL_GAP = 1e-6; // How far short of a block boundary (in t) a train stops at a red signal
+
+/**
+ * SignallingSystem class - decides whether trains may enter the next block
+ *
+ * Holds are recomputed every tick: a train stays held for as long as its next move is refused.
+ * Emits deadlock on the simulation when held trains wait on each other in a cycle.
+ */
+export class SignallingSystem {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.holds = new Map(); // Train ID -> { train, at: 'station' | 'signal', blockers: [train] }
+        this.deadlocks = new Set(); // Keys of deadlocks already reported
+    }
+    
+    /**
+     * Forget last tick's holds before trains try to move again
+     */
+    beginStep() {
+        this.holds.clear();
+    }
+    
+    /**
+     * Check if a track is a single line shared by both directions
+     */
+    isSingleTrack(track) {
+        return track.mode === 'single';
+    }
+    
+    /**
+     * Get the number of blocks a track is divided into
+     */
+    getBlockCount(track) {
+        return Math.max(1, Math.round(track.length / BLOCK_LENGTH));
+    }
+    
+    /**
+     * Get the block containing position t along a track
+     */
+    getBlock(track, t) {
+        const count = this.getBlockCount(track);
+        return Math.min(count - 1, Math.max(0, Math.floor(t * count)));
+    }
+    
+    /**
+     * Get the trains running on a track, i.e. between its stations rather than waiting at one
+     */
+    getTrainsOnTrack(track, except = null) {
+        return this.simulation.trains.filter(other =>
+            other !== except && other.pos.currentTrack === track && !other.waiting && !other.isAtStation()
+        );
+    }
+    
+    /**
+     * Get the trains on a track whose blocks a train leaving the given station shares
+     */
+    getTrainsSharingBlocks(track, fromId, except) {
+        const trains = this.getTrainsOnTrack(track, except);
+        return track.mode === 'double' ? trains.filter(other => other.pos.fromStation === fromId) : trains;
+    }
+    
+    /**
+     * Check if a train waiting at a station may start along a track
+     * Refused while the first block is occupied or, on single track, while a train is coming the other way
+     */
+    canEnter(train, track, fromId) {
+        const entryBlock = track.from === fromId ? 0 : this.getBlockCount(track) - 1;
+        const blockers = this.getTrainsSharingBlocks(track, fromId, train).filter(other =>
+            (this.isSingleTrack(track) && other.pos.fromStation !== fromId) ||
+            this.getBlock(track, other.pos.t) === entryBlock
+        );
+        
+        if (blockers.length > 0) {
+            this.hold(train, 'station', blockers);
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Limit a move along the train's track to the last signal before an occupied block
+     * Returns the position the train may move to
+     */
+    limitMove(train, newT) {
+        const track = train.pos.currentTrack;
+        const from = this.getBlock(track, train.pos.t);
+        const to = this.getBlock(track, newT);
+        if (from === to) return newT;
+        
+        const count = this.getBlockCount(track);
+        const step = to > from ? 1 : -1;
+        const others = this.getTrainsSharingBlocks(track, train.pos.fromStation, train);
+        for (let block = from + step; block !== to + step; block += step) {
+            const blockers = others.filter(other => this.getBlock(track, other.pos.t) === block);
+            if (blockers.length > 0) {
+                this.hold(train, 'signal', blockers);
+                return step === 1 ? block / count - SIGNAL_GAP : (block + 1) / count + SIGNAL_GAP;
+            }
+        }
+        return newT;
+    }
+    
+    /**
+     * Record that a train is held and which trains it is waiting for
+     */
+    hold(train, at, blockers) {
+        this.holds.set(train.id, { train, at, blockers });
+    }
+    
+    /**
+     * Get why a train is held this tick, or null if it is free to move
+     */
+    getHold(train) {
+        return this.holds.get(train.id) || null;
+    }
+    
+    /**
+     * Check if a train is stopped at a red signal between stations
+     */
+    isHeldAtSignal(train) {
+        const hold = this.getHold(train);
+        return hold !== null && hold.at === 'signal';
+    }
+    
+    /**
+     * Find held trains that wait on each other in a cycle and report each new deadlock once
+     * Returns the deadlocks found this tick as arrays of trains
+     */
+    detectDeadlocks() {
+        const cycles = [];
+        const state = new Map(); // Train ID -> 'active' while on the search path, 'done' once explored
+        const path = [];
+        
+        // Depth-first search of the wait-for graph; an edge back onto the search path closes a cycle
+        const visit = (trainId) => {
+            state.set(trainId, 'active');
+            path.push(trainId);
+            for (const blocker of this.holds.get(trainId).blockers) {
+                if (!this.holds.has(blocker.id)) continue; // Free to move, so the wait will end
+                
+                if (state.get(blocker.id) === 'active') {
+                    cycles.push(path.slice(path.indexOf(blocker.id)).map(id => this.holds.get(id).train));
+                } else if (!state.has(blocker.id)) {
+                    visit(blocker.id);
+                }
+            }
+            path.pop();
+            state.set(trainId, 'done');
+        };
+        for (const trainId of this.holds.keys()) {
+            if (!state.has(trainId)) {
+                visit(trainId);
+            }
+        }
+        
+        const keys = new Set();
+        for (const trains of cycles) {
+            const key = trains.map(t => t.id).sort((a, b) => a - b).join(',');
+            keys.add(key);
+            if (!this.deadlocks.has(key)) {
+                this.simulation.emit('deadlock', { trains });
+            }
+        }
+        this.deadlocks = keys; // A deadlock that clears is reported again if it forms again
+        return cycles;
+    }
+} 
\ No newline at end of file
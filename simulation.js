@@ -0,0 +1,1614 @@
+/**
+ * Headless simulation core for railway simulation
+ * Owns the network state and advances it in time without any canvas or DOM access,
+ * so it can run both behind the browser renderer and from Node
+ */
+
+import {
+    Track, Train, Passenger, Line, LINE_COLORS, TRACK_MODES, TRAIN_TYPES, LOST_REASONS, GAME_MODES, OVERCROWDING_LIMIT,
+    stationDistance, setNextId
+} from './models.js';
+import { Graph, RoutingTable, getPath, planJourney } from './graph.js';
+import { serializeNetwork, deserializeNetwork } from './persistence.js';
+import { SimulationClock, FIXED_STEP } from './clock.js';
+import { SeededRandom, randomSeed } from './random.js';
+import { EventEmitter } from './events.js';
+import { SignallingSystem } from './signalling.js';
+import { Timetable, SCHEDULE_MODES } from './timetable.js';
+import {
+    STATION_ROLES, DEFAULT_DEMAND_CURVES, ODMatrix, getDemand, validateDemandCurve, copyDemandCurves, tripsPerSecond,
+    parseODMatrix
+} from './demand.js';
+import { Economy, getStationCost, getTrackCost, getTrainCost, getFare, getOperatingCost } from './economy.js';
+import { Campaign } from './campaign.js';
+import { Statistics } from './statistics.js';
+import { TripLog } from './triplog.js';
+
+const TRAIN_CAPACITY = 20; // Passengers a new train carries
+const RUN_TOLERANCE = 1e-6; // Share of a tick that run() treats as floating point error rather than time to simulate
+
+/**
+ * Create a zero count of lost trips for every reason
+ */
+function createLostCounts() {
+    return Object.fromEntries(Object.keys(LOST_REASONS).map(reason => [reason, 0]));
+}
+
+/**
+ * Simulation class - network state plus the step(dt) update loop
+ *
+ * Events: passengerSpawned, passengerBoarded, passengerTransferred, passengerArrived, passengerLost, trainArrived,
+ * trainDeparted, stationAdded, stationRemoved, trackAdded, trackChanged, trackRemoved, trainAdded, trainRemoved,
+ * lineAdded, lineChanged, lineRemoved, demandChanged, modeChanged, gameOver, insufficientFunds, outOfStock, campaignWeek,
+ * campaignReward, statisticsSampled, networkCleared, networkLoaded, deadlock
+ */
+export class Simulation extends EventEmitter {
+    constructor(seed = randomSeed()) {
+        super();
+        
+        // Network state
+        this.stations = [];
+        this.tracks = [];
+        this.lines = []; // Lines own trains and define their routes
+        this.trains = [];
+        this.allPassengers = []; // Passengers still travelling (waiting or onboard); finished trips go to the trip log
+        this.lostTrips = new Map(); // Station ID -> { [reason]: passengers who gave up waiting there }
+        
+        // Routing state
+        this.graph = new Graph();
+        this.routingTable = new RoutingTable(this.graph); // Updated alongside the graph on every edit
+        this.signalling = new SignallingSystem(this); // Keeps trains from running into each other
+        this.timetable = new Timetable(this); // Holds trains on scheduled lines until their departure time
+        
+        // Deterministic time and randomness shared by all models
+        this.clock = new SimulationClock();
+        this.rng = new SeededRandom(seed);
+        
+        // Passenger spawning
+        this.passengerSpawnRate = 0.5; // Base passengers per second per importance point
+        this.demandCurves = copyDemandCurves(DEFAULT_DEMAND_CURVES); // Station role -> demand through the day
+        this.odMatrix = new ODMatrix(); // Surveyed trips between station pairs; other pairs use the gravity model
+        
+        // Money for building and running the network
+        this.economy = new Economy();
+        
+        // Game state
+        this.mode = 'sandbox'; // Key of GAME_MODES
+        this.modeStart = { time: 0, delivered: 0 }; // Clock and delivered count when the mode was entered
+        this.passengersSpawned = 0; // Passengers who set out since the start
+        this.passengersDelivered = 0; // Passengers who reached their destination
+        this.deliveredTransfers = 0; // Transfers made by delivered passengers, for their average
+        this.gameOver = null; // Summary of a finished survival or campaign run; time stands still while it is set
+        this.campaign = null; // Growing city and building stock while in campaign mode
+        this.statistics = new Statistics(this); // Rolling history of delivery, waits, queues and train loads
+        this.tripLog = new TripLog(this); // Finished trips and station and train snapshots for export
+    }
+    
+    /**
+     * Run the simulation for a duration (ms) in fixed ticks, finishing with a shorter tick for any remainder
+     */
+    run(duration, stepSize = FIXED_STEP) {
+        // Tolerate rounding error, so a minute of 1000 / 60 ms ticks is 3600 of them rather than 3599
+        const steps = Math.floor(duration / stepSize + RUN_TOLERANCE);
+        for (let i = 0; i < steps && !this.gameOver; i++) {
+            this.step(stepSize);
+        }
+        
+        const remainder = duration - steps * stepSize;
+        if (remainder > RUN_TOLERANCE * stepSize) {
+            this.step(remainder);
+        }
+    }
+    
+    /**
+     * Advance the simulation by one tick of deltaTime simulated milliseconds
+     */
+    step(deltaTime) {
+        if (deltaTime <= 0 || this.gameOver) return;
+        
+        this.clock.advance(deltaTime);
+        
+        // Spawn passengers at stations
+        this.spawnPassengers(deltaTime);
+        
+        // Alight passengers at destinations (before boarding new ones)
+        this.alightPassengers();
+        
+        // Board passengers onto trains
+        this.boardPassengers();
+        
+        // Passengers who still couldn't get on and have run out of patience leave
+        this.abandonPassengers();
+        
+        // Stations holding more than they can take count towards losing a survival or campaign run
+        this.updateOvercrowding(deltaTime);
+        
+        // A campaign grows the city and hands out stock as the weeks go by
+        if (this.campaign && !this.gameOver) {
+            this.campaign.update();
+        }
+        
+        // Move trains after boarding/alighting, as far as the signals allow
+        this.signalling.beginStep();
+        this.updateTrains(deltaTime);
+        this.signalling.detectDeadlocks();
+        
+        // Pay for running everything that is built, by the minute of the day
+        this.economy.operate(this.getOperatingCost() * deltaTime / 1000);
+        
+        this.statistics.update();
+        this.tripLog.update();
+    }
+    
+    /**
+     * Get what the network costs to run per minute of the day
+     */
+    getOperatingCost() {
+        return getOperatingCost(this.stations, this.tracks, this.trains);
+    }
+    
+    /**
+     * Get the price of a track; in a campaign tracks come out of the stock instead
+     */
+    getTrackCost(track) {
+        return this.campaign ? 0 : getTrackCost(track.length);
+    }
+    
+    /**
+     * Get the price of a train of a given type; in a campaign trains come out of the stock instead
+     */
+    getTrainCost(type) {
+        return this.campaign ? 0 : getTrainCost(type);
+    }
+    
+    /**
+     * Get how many passengers a new train carries
+     */
+    getTrainCapacity() {
+        return this.campaign ? this.campaign.getTrainCapacity(TRAIN_CAPACITY) : TRAIN_CAPACITY;
+    }
+    
+    /**
+     * Check if the campaign stock has a track or train left to build, telling listeners if not
+     * Always true outside a campaign
+     */
+    checkStock(kind, item) {
+        if (!this.campaign || this.campaign.getStock()[kind] > 0) return true;
+        this.emit('outOfStock', { kind, item });
+        return false;
+    }
+    
+    /**
+     * Check if construction can be paid for, telling listeners what couldn't be afforded if not
+     */
+    checkFunds(cost, item) {
+        if (this.economy.canAfford(cost)) return true;
+        this.emit('insufficientFunds', { item, cost, balance: this.economy.balance });
+        return false;
+    }
+    
+    /**
+     * Pay for construction if the balance covers it, returns whether it was paid
+     */
+    payFor(cost, item) {
+        if (!this.checkFunds(cost, item)) return false;
+        this.economy.spend(cost);
+        return true;
+    }
+    
+    /**
+     * Spawn passengers at stations based on importance and the demand for the time of day
+     */
+    spawnPassengers(deltaTime) {
+        const currentTime = this.clock.now();
+        
+        for (const station of this.stations) {
+            // Stations with surveyed trips spawn at the rate their destinations add up to
+            const rates = this.odMatrix.getTrips(station.id) ? this.getDestinationRates(station) : null;
+            const baseRate = rates
+                ? rates.reduce((sum, { rate }) => sum + rate, 0)
+                : this.passengerSpawnRate * (4 - station.importance); // Importance 1->3, 2->2, 3->1
+            const spawnRate = baseRate * this.getStationDemand(station);
+            const timeSinceLastSpawn = currentTime - station.lastSpawn;
+            const spawnInterval = 1000 / spawnRate; // milliseconds between spawns
+            
+            if (timeSinceLastSpawn >= spawnInterval) {
+                const destination = this.chooseDestination(station, rates);
+                if (destination && destination.id !== station.id) {
+                    const passenger = new Passenger(station.id, destination.id, this.clock);
+                    passenger.setItinerary(this.planJourney(station.id, destination.id));
+                    station.addPassenger(passenger);
+                    this.allPassengers.push(passenger);
+                    this.passengersSpawned++;
+                    station.lastSpawn = currentTime;
+                    this.emit('passengerSpawned', { passenger, station });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Get how busy a station is at the current time of day, as a multiplier of its base spawn rate
+     */
+    getStationDemand(station) {
+        return getDemand(this.demandCurves[station.role], this.clock.getHourOfDay());
+    }
+    
+    /**
+     * Replace the demand curve of a station role
+     * Throws if the role is unknown or the curve is invalid
+     */
+    setDemandCurve(role, curve) {
+        if (!STATION_ROLES[role]) {
+            throw new Error(`Unknown station role: ${role}`);
+        }
+        this.demandCurves[role] = validateDemandCurve(curve);
+    }
+    
+    /**
+     * Get how many passengers per second (before time-of-day demand) a station sends to each other station
+     * Pairs in the OD matrix use its trips; the rest share the station's base rate by the gravity model
+     * Returns [{ station, rate }]
+     */
+    getDestinationRates(originStation) {
+        const candidates = this.stations.filter(s => s.id !== originStation.id);
+        const baseRate = this.passengerSpawnRate * (4 - originStation.importance);
+        const surveyed = this.odMatrix.getTrips(originStation.id);
+        
+        // Gravity weights: importance / distance^2 (1=highest weight, 3=lowest weight)
+        const weights = candidates.map(station => {
+            const distance = stationDistance(originStation, station);
+            const importanceWeight = 4 - station.importance; // 1->3, 2->2, 3->1
+            return importanceWeight / Math.max(1, distance * distance / 10000); // Scale distance
+        });
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        
+        return candidates.map((station, i) => ({
+            station,
+            rate: surveyed && surveyed.has(station.id)
+                ? tripsPerSecond(surveyed.get(station.id))
+                : baseRate * (totalWeight > 0 ? weights[i] / totalWeight : 0)
+        }));
+    }
+    
+    /**
+     * Choose passenger destination in proportion to the rates to each station
+     * Pass rates from getDestinationRates() if they have already been worked out
+     */
+    chooseDestination(originStation, rates = null) {
+        if (this.stations.length <= 1) return null;
+        rates = rates || this.getDestinationRates(originStation);
+        
+        // Weighted random selection
+        const totalRate = rates.reduce((sum, { rate }) => sum + rate, 0);
+        if (totalRate === 0) return rates[0].station;
+        
+        let random = this.rng.next() * totalRate;
+        for (const { station, rate } of rates) {
+            random -= rate;
+            if (random <= 0) {
+                return station;
+            }
+        }
+        
+        return rates[rates.length - 1].station;
+    }
+    
+    /**
+     * Replace the OD matrix with one parsed from CSV text
+     * Returns { matrix, previous, warnings }; throws if the CSV has no usable layout
+     */
+    importODMatrix(text) {
+        const { matrix, warnings } = parseODMatrix(text, this.stations);
+        const previous = this.setODMatrix(matrix);
+        return { matrix, previous, warnings };
+    }
+    
+    /**
+     * Replace the OD matrix, returning the previous one
+     */
+    setODMatrix(matrix) {
+        const previous = this.odMatrix;
+        this.odMatrix = matrix;
+        this.emit('demandChanged', { matrix });
+        return previous;
+    }
+    
+    /**
+     * Update train positions and states
+     */
+    updateTrains(deltaTime) {
+        for (const train of this.trains) {
+            if (train.suspended) continue;
+            
+            if (train.waiting) {
+                // Handle waiting at station
+                train.waitTime += deltaTime;
+                if (train.waitTime >= train.waitDuration) {
+                    const segment = this.planNextSegment(train);
+                    
+                    // Stay at the station until the train's departure time, then until the signal clears
+                    if (segment && !this.timetable.canDepart(train, segment.fromId, segment.toId)) {
+                        continue;
+                    }
+                    if (segment && !this.signalling.canEnter(train, segment.track, segment.fromId)) {
+                        continue;
+                    }
+                    
+                    const departedFrom = train.getCurrentStation();
+                    let departure = null;
+                    train.waiting = false;
+                    train.waitTime = 0;
+                    if (segment) {
+                        departure = this.timetable.recordDeparture(train, segment.fromId, segment.toId, segment.track);
+                        this.startSegment(train, segment.track, segment.fromId, segment.toId);
+                        this.statistics.recordTrackFlow(segment.track, train.onboard.length);
+                    }
+                    this.emit('trainDeparted', { train, stationId: departedFrom, departure });
+                }
+            } else {
+                // Move along track only if we have a valid track
+                if (train.pos.currentTrack) {
+                    this.moveTrainAlongTrack(train, deltaTime);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Move train along its current track, accelerating up to the speed limit and braking for the station ahead
+     */
+    moveTrainAlongTrack(train, deltaTime) {
+        if (!train.pos.currentTrack) return;
+        
+        const track = train.pos.currentTrack;
+        const performance = train.getPerformance();
+        const seconds = deltaTime / 1000;
+        
+        // Fastest speed from which the train can still stop exactly at the end of the track
+        const remaining = (train.moveDirection === 1 ? 1 - train.pos.t : train.pos.t) * track.length;
+        const stoppingSpeed = Math.sqrt(2 * performance.deceleration * remaining);
+        train.speed = Math.min(
+            train.speed + performance.acceleration * seconds,
+            performance.maxSpeed,
+            track.maxSpeed,
+            stoppingSpeed
+        );
+        
+        const distance = train.speed * seconds;
+        const deltaT = distance / track.length;
+        
+        // Use moveDirection for track movement (not route direction)
+        const newT = train.pos.t + deltaT * (train.moveDirection || 1);
+        
+        // Check if reached end of track before updating position
+        if (newT >= 1.0 || newT <= 0.0) {
+            // Clamp to exact end and start waiting
+            const finalT = newT >= 1.0 ? 1.0 : 0.0;
+            train.pos.t = finalT;
+            train.speed = 0;
+            train.startDwell();
+            
+            // Determine which station we arrived at based on movement direction
+            let arrivedAt;
+            if (train.moveDirection === 1) {
+                // Moving forward: t=0 → fromStation, t=1 → toStation
+                arrivedAt = finalT === 1.0 ? train.pos.toStation : train.pos.fromStation;
+            } else {
+                // Moving backward: t=1 → fromStation, t=0 → toStation
+                arrivedAt = finalT === 0.0 ? train.pos.toStation : train.pos.fromStation;
+            }
+            
+            this.emit('trainArrived', { train, stationId: arrivedAt });
+        } else {
+            // Not at station yet - move up to the next red signal, if any, and stand there
+            train.pos.t = this.signalling.limitMove(train, newT);
+            if (train.pos.t !== newT) {
+                train.speed = 0;
+            }
+        }
+    }
+    
+    /**
+     * Choose the next segment of a train's route from the station it is waiting at
+     * Returns { track, fromId, toId }, or null if the train can't go anywhere
+     */
+    planNextSegment(train) {
+        const currentStationId = train.getCurrentStation();
+        if (!currentStationId) return null;
+        
+        // A train can be left off its route when an edit is undone; it finds its way back first
+        if (!train.route.includes(currentStationId)) {
+            return this.planReturnToRoute(train, currentStationId);
+        }
+        
+        // For simple shuttle routes (most common case), handle explicitly
+        if (train.route.length === 2 && !train.loop) {
+            const [stationA, stationB] = train.route;
+            
+            // Get current station using the fixed logic
+            const currentStationId = train.getCurrentStation();
+            
+            // Simple shuttle logic: alternate between the two stations
+            train.currentStation = currentStationId;
+            train.targetStation = train.currentStation === stationA ? stationB : stationA;
+            
+            
+            const track = this.findTrack(train.currentStation, train.targetStation);
+            if (track) {
+                return { track, fromId: train.currentStation, toId: train.targetStation };
+            }
+            return null;
+        }
+        
+        // Handle longer routes with proper direction tracking
+        const currentIndex = train.route.indexOf(currentStationId);
+        
+        let nextIndex;
+        
+        if (train.loop) {
+            // Loops continue around in one direction indefinitely
+            nextIndex = (currentIndex + 1) % train.route.length;
+        } else if (train.direction === 1) {
+            nextIndex = currentIndex + 1;
+            if (nextIndex >= train.route.length) {
+                train.direction = -1;
+                nextIndex = currentIndex - 1;
+            }
+        } else {
+            nextIndex = currentIndex - 1;
+            if (nextIndex < 0) {
+                train.direction = 1;
+                nextIndex = currentIndex + 1;
+            }
+        }
+        
+        if (nextIndex >= 0 && nextIndex < train.route.length) {
+            const nextStationId = train.route[nextIndex];
+            const track = this.findTrack(currentStationId, nextStationId);
+            
+            if (track) {
+                return { track, fromId: currentStationId, toId: nextStationId };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Plan one segment along the shortest path back to the route for a train that is off it
+     */
+    planReturnToRoute(train, stationId) {
+        let best = null;
+        for (const routeStationId of train.route) {
+            const path = getPath(this.routingTable, stationId, routeStationId);
+            if (path.length >= 2 && (!best || path.length < best.length)) {
+                best = path;
+            }
+        }
+        if (!best) return null;
+        
+        return { track: this.findTrack(stationId, best[1]), fromId: stationId, toId: best[1] };
+    }
+    
+    /**
+     * Start a train moving along a track from one station towards another
+     */
+    startSegment(train, track, fromId, toId) {
+        train.setTrack(track);
+        train.pos.fromStation = fromId;
+        train.pos.toStation = toId;
+        
+        // Set correct starting position and direction based on track orientation
+        if (track.from === fromId) {
+            train.pos.t = 0.01;
+            train.moveDirection = 1;
+        } else {
+            train.pos.t = 0.99;
+            train.moveDirection = -1;
+        }
+    }
+    
+    /**
+     * Handle passenger boarding
+     */
+    boardPassengers() {
+        for (const train of this.trains) {
+            if (!train.waiting || train.suspended) continue;
+            
+            const currentStationId = train.getCurrentStation();
+            if (!currentStationId) continue;
+            
+            const station = this.stations.find(s => s.id === currentStationId);
+            if (!station) continue;
+            
+            // Find passengers whose next stop this train serves
+            const boardablePassengers = station.waiting.filter(passenger => {
+                const nextStop = passenger.getNextStop();
+                return nextStop !== null && this.canTrainReachDestination(train, nextStop);
+            });
+            
+            // Board passengers up to capacity; the more get on, the longer the train stands
+            const boarded = train.boardPassengers(boardablePassengers);
+            train.addDwellPassengers(boarded.length);
+            
+            // Remove boarded passengers from station
+            station.removePassengers(boarded);
+            for (const passenger of boarded) {
+                this.emit('passengerBoarded', { passenger, train, station });
+            }
+            
+            // Anyone the train had room for would have got on
+            for (const passenger of boardablePassengers.slice(boarded.length)) {
+                passenger.leftBehind = true;
+            }
+        }
+    }
+    
+    /**
+     * Remove waiting passengers who have run out of patience and count them as lost trips
+     */
+    abandonPassengers() {
+        for (const station of this.stations) {
+            const leaving = station.waiting.filter(p => p.isOutOfPatience());
+            if (leaving.length === 0) continue;
+            
+            station.removePassengers(leaving);
+            const counts = this.lostTrips.get(station.id) || createLostCounts();
+            this.lostTrips.set(station.id, counts);
+            for (const passenger of leaving) {
+                passenger.abandon(station.id);
+                counts[passenger.lostReason]++;
+                this.finishTrip(passenger);
+                this.emit('passengerLost', { passenger, station, reason: passenger.lostReason });
+            }
+        }
+    }
+    
+    /**
+     * Move a passenger who arrived or gave up from the travelling passengers to the trip log
+     */
+    finishTrip(passenger, train = null) {
+        this.tripLog.recordTrip(passenger, train ? train.id : null);
+        const index = this.allPassengers.indexOf(passenger);
+        if (index !== -1) {
+            this.allPassengers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Run every station's overcrowding timer and end a survival run once one reaches its limit
+     */
+    updateOvercrowding(deltaTime) {
+        for (const station of this.stations) {
+            station.updateOvercrowding(deltaTime);
+        }
+        if (this.mode === 'sandbox') return;
+        
+        const failed = this.stations.find(s => s.overcrowdedTime >= OVERCROWDING_LIMIT);
+        if (failed) {
+            this.endGame({
+                reason: `${failed.name} was overcrowded for too long (${failed.waiting.length} waiting, room for ${failed.getCapacity()})`,
+                station: failed
+            });
+        }
+    }
+    
+    /**
+     * End the run, keeping a summary of how it went
+     * Runs are lost when a station stays overcrowded too long and campaigns are won by reaching their target
+     */
+    endGame({ won = false, reason, station = null }) {
+        this.gameOver = {
+            won,
+            reason,
+            stationId: station ? station.id : null,
+            time: this.clock.now(),
+            survived: this.clock.now() - this.modeStart.time,
+            score: this.getScore(),
+            lostTrips: this.getLostTrips().total,
+            stations: this.stations.length,
+            lines: this.lines.length,
+            trains: this.trains.length,
+            week: this.campaign ? this.campaign.week : null
+        };
+        this.emit('gameOver', { summary: this.gameOver, station });
+    }
+    
+    /**
+     * Get the score of the current run: passengers delivered since the mode was entered
+     */
+    getScore() {
+        return this.passengersDelivered - this.modeStart.delivered;
+    }
+    
+    /**
+     * Switch game mode, starting a fresh run
+     * Entering survival clears every station's overcrowding timer; a campaign replaces the network with a
+     * new city, taking options.bounds ({ width, height } it grows in) and options.target; leaving a finished
+     * run lets time go on
+     * Throws if the mode is unknown
+     */
+    setMode(mode, options = {}) {
+        if (!GAME_MODES[mode]) {
+            throw new Error(`Unknown game mode: ${mode}`);
+        }
+        
+        const previous = this.mode;
+        this.mode = mode;
+        this.gameOver = null;
+        this.campaign = null;
+        if (mode === 'campaign') {
+            this.clearNetwork();
+        }
+        this.modeStart = { time: this.clock.now(), delivered: this.passengersDelivered };
+        if (mode === 'survival') {
+            for (const station of this.stations) {
+                station.overcrowdedTime = 0;
+            }
+        }
+        if (mode === 'campaign') {
+            this.campaign = new Campaign(this, options);
+            this.campaign.start();
+        }
+        this.emit('modeChanged', { mode, previous });
+    }
+    
+    /**
+     * Remove every station, track, line, train and passenger and start the books afresh
+     * The clock and random stream carry on
+     */
+    clearNetwork() {
+        this.stations = [];
+        this.tracks = [];
+        this.lines = [];
+        this.trains = [];
+        this.allPassengers = [];
+        this.lostTrips = new Map();
+        this.timetable = new Timetable(this);
+        this.signalling = new SignallingSystem(this);
+        this.economy = new Economy();
+        this.statistics = new Statistics(this);
+        this.tripLog = new TripLog(this);
+        this.graph = new Graph();
+        this.rebuildRoutingTable();
+        this.emit('networkCleared');
+    }
+    
+    /**
+     * Get lost trips by reason, at one station or across the network, with their total
+     */
+    getLostTrips(stationId = null) {
+        const totals = createLostCounts();
+        for (const [id, counts] of this.lostTrips) {
+            if (stationId !== null && id !== stationId) continue;
+            for (const reason of Object.keys(totals)) {
+                totals[reason] += counts[reason];
+            }
+        }
+        return { ...totals, total: Object.values(totals).reduce((sum, count) => sum + count, 0) };
+    }
+    
+    /**
+     * Check if train can reach a destination
+     */
+    canTrainReachDestination(train, destinationId) {
+        return train.route.includes(destinationId);
+    }
+    
+    /**
+     * Handle passenger alighting
+     */
+    alightPassengers() {
+        for (const train of this.trains) {
+            if (!train.waiting) continue;
+            
+            const currentStationId = train.getCurrentStation();
+            if (!currentStationId) continue;
+            
+            // Passengers alight at their destination or at a transfer station
+            const alighted = train.alightPassengers(currentStationId);
+            train.addDwellPassengers(alighted.length);
+            for (const passenger of alighted) {
+                if (passenger.state === 'arrived') {
+                    this.passengersDelivered++;
+                    this.deliveredTransfers += passenger.transfers;
+                    this.finishTrip(passenger, train);
+                    const fare = this.getFare(passenger);
+                    this.economy.collectFare(fare);
+                    this.statistics.recordArrival(passenger);
+                    this.emit('passengerArrived', { passenger, train, stationId: currentStationId, fare });
+                    continue;
+                }
+                
+                // Re-queue for the next leg
+                const station = this.stations.find(s => s.id === currentStationId);
+                if (station) {
+                    station.addPassenger(passenger);
+                    this.emit('passengerTransferred', { passenger, train, station });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Get the fare for a passenger's journey, by the straight-line distance from origin to destination
+     */
+    getFare(passenger) {
+        const origin = this.stations.find(s => s.id === passenger.origin);
+        const destination = this.stations.find(s => s.id === passenger.dest);
+        return getFare(origin && destination ? stationDistance(origin, destination) : 0);
+    }
+    
+    /**
+     * Plan a journey between two stations over the current train routes
+     */
+    planJourney(originId, destinationId) {
+        const routes = this.trains.filter(t => !t.suspended).map(t => t.route);
+        return planJourney(routes, originId, destinationId);
+    }
+    
+    /**
+     * Replan journeys for all waiting passengers after the set of trains changes
+     */
+    replanWaitingPassengers() {
+        for (const station of this.stations) {
+            for (const passenger of station.waiting) {
+                passenger.setItinerary(this.planJourney(station.id, passenger.dest));
+            }
+        }
+    }
+    
+    /**
+     * Add a new station, paying for it by importance unless pay is false
+     * In a campaign only the city adds stations, without paying
+     * Returns the station, or null if it can't be afforded
+     */
+    addStation(station, pay = true) {
+        if (pay && this.campaign) return null;
+        if (pay && !this.payFor(getStationCost(station.importance), `a ${station.getImportanceLabel()}`)) return null;
+        
+        this.stations.push(station);
+        this.routingTable.addNode(station.id);
+        this.emit('stationAdded', { station });
+        return station;
+    }
+    
+    /**
+     * Change the importance of an existing station
+     * Upgrading pays the difference in price; downgrading gives nothing back
+     * Undo and redo pass pay = false and settle the price themselves
+     */
+    changeStationImportance(stationId, newImportance, pay = true) {
+        const station = this.stations.find(s => s.id === stationId);
+        if (!station) return false;
+        
+        const importance = Math.max(1, Math.min(3, newImportance));
+        const upgrade = getStationCost(importance) - getStationCost(station.importance);
+        if (pay && upgrade > 0 && !this.payFor(upgrade, `upgrading ${station.name}`)) return false;
+        
+        station.importance = importance;
+        // Reset spawn timer to apply new rate immediately
+        station.lastSpawn = 0;
+        return true;
+    }
+    
+    /**
+     * Change which demand curve a station follows
+     */
+    changeStationRole(stationId, role) {
+        const station = this.stations.find(s => s.id === stationId);
+        if (!station || !STATION_ROLES[role]) return false;
+        
+        station.role = role;
+        station.lastSpawn = 0;
+        return true;
+    }
+    
+    /**
+     * Delete a station and all its connections
+     * Returns a removal record for restoreStation(), or null if the station doesn't exist
+     */
+    deleteStation(stationId) {
+        const stationIndex = this.stations.findIndex(s => s.id === stationId);
+        if (stationIndex === -1) return null;
+        
+        const station = this.stations[stationIndex];
+        const record = { station, index: stationIndex, tracks: [], lines: [], passengers: [] };
+        
+        // Remove all tracks connected to this station
+        this.tracks = this.tracks.filter((track, index) => {
+            if (track.from !== stationId && track.to !== stationId) return true;
+            record.tracks.push({ track, index });
+            return false;
+        });
+        
+        // Remove all lines (and their trains) that stop at this station
+        for (const line of this.lines.filter(l => l.stops.includes(stationId))) {
+            record.lines.push(this.deleteLine(line.id));
+        }
+        
+        // Remove all passengers waiting at, coming from or going to this station, remembering where they were
+        const removed = new Map();
+        this.allPassengers.forEach((passenger, index) => {
+            if (station.waiting.includes(passenger) || passenger.origin === stationId || passenger.dest === stationId) {
+                removed.set(passenger, { passenger, index, station: null, train: null });
+            }
+        });
+        this.allPassengers = this.allPassengers.filter(p => !removed.has(p));
+        for (const other of this.stations) {
+            const leaving = other.waiting.filter(p => removed.has(p));
+            leaving.forEach(p => { removed.get(p).station = other; });
+            other.removePassengers(leaving);
+        }
+        for (const train of this.trains) {
+            train.onboard = train.onboard.filter(p => {
+                if (!removed.has(p)) return true;
+                removed.get(p).train = train;
+                return false;
+            });
+        }
+        record.passengers = [...removed.values()];
+        
+        // Remove station
+        this.stations.splice(stationIndex, 1);
+        
+        // Update graph and routing
+        this.routingTable.removeNode(stationId);
+        this.replanWaitingPassengers();
+        this.emit('stationRemoved', { station });
+        
+        return record;
+    }
+    
+    /**
+     * Undo deleteStation(): put the station back with its tracks, lines, trains and passengers
+     */
+    restoreStation({ station, index, tracks, lines, passengers }) {
+        if (this.stations.includes(station)) return false;
+        
+        this.stations.splice(index, 0, station);
+        this.routingTable.addNode(station.id);
+        for (const { track, index: trackIndex } of tracks) {
+            this.tracks.splice(trackIndex, 0, track);
+            this.routingTable.addEdge(track.from, track.to, track.length, track.isBidirectional());
+        }
+        
+        // Passengers go back before the lines so riders put off the deleted trains can reboard them
+        for (const { passenger, index: passengerIndex, station: at, train } of passengers) {
+            this.allPassengers.splice(passengerIndex, 0, passenger);
+            if (at) {
+                at.addPassenger(passenger);
+            }
+            if (train) {
+                train.onboard.push(passenger);
+            }
+        }
+        for (const lineRecord of [...lines].reverse()) {
+            this.restoreLine(lineRecord);
+        }
+        
+        this.replanWaitingPassengers();
+        this.emit('stationAdded', { station });
+        return true;
+    }
+    
+    /**
+     * Add a new track between stations
+     * Options: mode (key of TRACK_MODES, one-way tracks run from -> to), waypoints ([{ x, y }] bend points
+     * in order from -> to) and smooth (curve through the waypoints)
+     * Returns the new track, or null if the stations are already connected or the track can't be afforded
+     * (or, in a campaign, none are left in stock)
+     */
+    addTrack(fromId, toId, options = {}) {
+        // Check if track already exists
+        const existingTrack = this.tracks.find(t => t.connects(fromId, toId));
+        if (existingTrack) {
+            return null;
+        }
+        
+        if (!this.checkStock('tracks', 'a track')) return null;
+        const track = new Track(fromId, toId, this.stations, options.mode, options.waypoints, options.smooth);
+        if (!this.payFor(this.getTrackCost(track), 'this track')) return null;
+        if (this.campaign) {
+            track.maxSpeed = this.campaign.getTrackSpeedLimit();
+        }
+        this.insertTrack(track, this.tracks.length);
+        
+        // A new track may give suspended lines a way around
+        const resumed = this.lines.filter(l => l.suspended && this.repairLine(l));
+        if (resumed.length > 0) {
+            this.replanWaitingPassengers();
+        }
+        return track;
+    }
+    
+    /**
+     * Insert a track into the network at a position in the track list
+     */
+    insertTrack(track, index) {
+        this.tracks.splice(index, 0, track);
+        this.routingTable.addEdge(track.from, track.to, track.length, track.isBidirectional());
+        this.emit('trackAdded', { track });
+    }
+    
+    /**
+     * Delete a track, re-routing the lines that used it or suspending them if no detour exists
+     * Returns { track, index, lineStates, rerouted: [line], suspended: [line], stranded: passenger count } or null;
+     * the result doubles as the removal record for restoreTrack()
+     */
+    deleteTrack(track) {
+        const trackIndex = this.tracks.indexOf(track);
+        if (trackIndex === -1) return null;
+        
+        const lineStates = this.captureLineStates(
+            this.lines.filter(line => line.getSegments().some(([a, b]) => track.connects(a, b)))
+        );
+        
+        this.tracks.splice(trackIndex, 1);
+        this.routingTable.removeEdge(track.from, track.to);
+        
+        // Trains on the removed track go back to the station they left
+        for (const train of this.trains) {
+            if (train.pos.currentTrack === track) {
+                this.parkTrain(train, train.pos.fromStation, track);
+            }
+        }
+        
+        const rerouted = [];
+        const suspended = [];
+        for (const line of this.lines) {
+            const usesTrack = line.getSegments().some(([a, b]) => track.connects(a, b));
+            if (!usesTrack) continue;
+            
+            if (this.repairLine(line)) {
+                rerouted.push(line);
+            } else {
+                suspended.push(line);
+            }
+        }
+        
+        // Waiting passengers look for new journeys; some may have none left
+        this.replanWaitingPassengers();
+        const stranded = this.stations.reduce(
+            (count, station) => count + station.waiting.filter(p => p.itinerary === null).length, 0
+        );
+        
+        this.emit('trackRemoved', { track, rerouted, suspended, stranded });
+        return { track, index: trackIndex, lineStates, rerouted, suspended, stranded };
+    }
+    
+    /**
+     * Undo deleteTrack(): put the track back and return its lines to their earlier routes
+     */
+    restoreTrack({ track, index, lineStates }) {
+        if (this.tracks.includes(track)) return false;
+        
+        this.insertTrack(track, index);
+        this.restoreLineStates(lineStates);
+        this.replanWaitingPassengers();
+        return true;
+    }
+    
+    /**
+     * Capture the routes and suspension of lines and their trains, so an edit to them can be undone
+     */
+    captureLineStates(lines) {
+        return lines.map(line => ({
+            line,
+            stops: [...line.stops],
+            suspended: line.suspended,
+            trains: this.trains.filter(t => t.lineId === line.id).map(train => ({
+                train,
+                route: [...train.route],
+                suspended: train.suspended,
+                position: train.capturePosition(),
+                onboard: train.onboard.map(passenger => ({ passenger, state: passenger.captureState() }))
+            }))
+        }));
+    }
+    
+    /**
+     * Return lines to states captured with captureLineStates()
+     * Trains still parked since the edit go back to where they were with the passengers they put off;
+     * trains that have moved on keep their position and find their way back onto the route, or park if their
+     * line goes back to being suspended. A line's trains always end up sharing its suspension.
+     */
+    restoreLineStates(lineStates) {
+        for (const { line, stops, suspended, trains } of lineStates) {
+            line.stops = [...stops];
+            line.suspended = suspended;
+            
+            for (const state of trains) {
+                const { train } = state;
+                if (!this.trains.includes(train)) continue;
+                
+                // Trains follow their line, so a line never runs some trains and holds others
+                const parked = train.suspended;
+                train.route = [...state.route];
+                train.suspended = suspended;
+                if (parked) {
+                    train.restorePosition(state.position);
+                    this.returnPassengers(train, state.onboard);
+                } else if (suspended) {
+                    this.parkTrain(train, train.getCurrentStation() || train.pos.fromStation, train.pos.currentTrack);
+                    this.evacuateTrain(train);
+                }
+            }
+            this.emit('lineChanged', { line });
+        }
+    }
+    
+    /**
+     * Change how a track is laid, re-routing or suspending lines that can no longer run along it
+     * Returns { track, previous, lineStates, rerouted: [line], suspended: [line] }, or null if nothing changed
+     */
+    setTrackMode(track, mode) {
+        if (!this.tracks.includes(track) || !Object.hasOwn(TRACK_MODES, mode) || track.mode === mode) {
+            return null;
+        }
+        
+        const lineStates = this.captureLineStates(this.lines.filter(line =>
+            line.suspended || line.getSegments().some(([a, b]) => track.connects(a, b))
+        ));
+        
+        const previous = track.mode;
+        track.mode = mode;
+        this.routingTable.removeEdge(track.from, track.to);
+        this.routingTable.addEdge(track.from, track.to, track.length, track.isBidirectional());
+        
+        const rerouted = [];
+        const suspended = [];
+        for (const line of this.lines) {
+            const blocked = line.getSegments().some(([a, b]) =>
+                track.connects(a, b) && !this.canRunSegment(a, b, line.loop)
+            );
+            if (!blocked) continue;
+            
+            if (this.repairLine(line)) {
+                rerouted.push(line);
+            } else {
+                suspended.push(line);
+            }
+        }
+        
+        // Opening a direction may give suspended lines a way around
+        this.lines.filter(l => l.suspended && !suspended.includes(l)).forEach(l => this.repairLine(l));
+        
+        this.replanWaitingPassengers();
+        this.emit('trackChanged', { track, previous });
+        return { track, previous, lineStates, rerouted, suspended };
+    }
+    
+    /**
+     * Switch a track between straight legs and a smooth curve through its waypoints
+     */
+    setTrackSmooth(track, smooth) {
+        if (!this.tracks.includes(track) || track.smooth === smooth) return false;
+        
+        track.smooth = smooth;
+        track.updateGeometry();
+        
+        // The track's length changed, so shortest paths may have too
+        this.routingTable.removeEdge(track.from, track.to);
+        this.routingTable.addEdge(track.from, track.to, track.length, track.isBidirectional());
+        this.emit('trackChanged', { track });
+        return true;
+    }
+    
+    /**
+     * Change a track's speed limit (pixels per second); trains already on it slow down at once
+     * In a campaign, limits above what the upgrades so far allow are refused
+     */
+    setTrackSpeedLimit(track, maxSpeed) {
+        if (!this.tracks.includes(track) || !(maxSpeed > 0) || track.maxSpeed === maxSpeed) return false;
+        if (this.campaign && maxSpeed > this.campaign.getTrackSpeedLimit()) return false;
+        
+        track.maxSpeed = maxSpeed;
+        this.emit('trackChanged', { track });
+        return true;
+    }
+    
+    /**
+     * Replace each segment of a line that has no usable track with the shortest detour
+     * Suspends the line (and its trains) if any segment can't be bridged, resumes it otherwise
+     * Returns true if the line can run
+     */
+    repairLine(line) {
+        const stops = [];
+        const segmentCount = line.loop ? line.stops.length : line.stops.length - 1;
+        
+        for (let i = 0; i < line.stops.length; i++) {
+            stops.push(line.stops[i]);
+            if (i >= segmentCount) continue;
+            
+            const from = line.stops[i];
+            const to = line.stops[(i + 1) % line.stops.length];
+            if (this.canRunSegment(from, to, line.loop)) continue;
+            
+            const detour = getPath(this.routingTable, from, to);
+            if (detour.length < 2) {
+                this.setLineSuspended(line, true);
+                return false;
+            }
+            stops.push(...detour.slice(1, -1));
+        }
+        
+        // A detour that runs through another stop on the line can't be driven as one route
+        if (!this.isValidRoute(stops, line.loop)) {
+            this.setLineSuspended(line, true);
+            return false;
+        }
+        
+        line.stops = stops;
+        for (const train of this.trains.filter(t => t.lineId === line.id)) {
+            train.route = [...stops];
+        }
+        this.setLineSuspended(line, false);
+        return true;
+    }
+    
+    /**
+     * Suspend or resume a line's trains
+     * Suspended trains wait at their last station with passengers put off to find another way
+     */
+    setLineSuspended(line, suspended) {
+        const wasSuspended = line.suspended;
+        line.suspended = suspended;
+        
+        for (const train of this.trains.filter(t => t.lineId === line.id)) {
+            train.suspended = suspended;
+            
+            // Parked trains pick up the route again from their station when resumed
+            if (suspended && !wasSuspended) {
+                const stationId = train.getCurrentStation() || train.pos.fromStation;
+                this.parkTrain(train, stationId, train.pos.currentTrack);
+                this.evacuateTrain(train);
+            }
+        }
+        
+        if (suspended !== wasSuspended) {
+            this.emit('lineChanged', { line });
+        }
+    }
+    
+    /**
+     * Add a new line running exactly along the given stops, with its first train
+     * With options.loop the last stop must connect back to the first and trains circulate
+     * Returns the new line, or null if the stops aren't a valid route or its first train can't be afforded
+     */
+    addLine(stops, options = {}) {
+        const loop = Boolean(options.loop);
+        if (!this.isValidRoute(stops, loop)) {
+            return null;
+        }
+        
+        const name = options.name || this.generateLineName();
+        const color = options.color || LINE_COLORS[this.lines.length % LINE_COLORS.length];
+        const line = new Line(name, color, stops, loop);
+        const item = `a ${TRAIN_TYPES[line.trainType].name.toLowerCase()} train`;
+        if (!this.checkStock('trains', item) || !this.checkFunds(this.getTrainCost(line.trainType), item)) {
+            return null;
+        }
+        this.lines.push(line);
+        this.emit('lineAdded', { line });
+        
+        this.addTrainToLine(line.id);
+        return line;
+    }
+    
+    /**
+     * Check that every consecutive pair of stops is connected by a usable track and no stop repeats
+     */
+    isValidRoute(stops, loop = false) {
+        if (stops.length < (loop ? 3 : 2)) return false;
+        if (new Set(stops).size !== stops.length) return false;
+        
+        for (let i = 0; i < stops.length - 1; i++) {
+            if (!this.canRunSegment(stops[i], stops[i + 1], loop)) return false;
+        }
+        return !loop || this.canRunSegment(stops[stops.length - 1], stops[0], loop);
+    }
+    
+    /**
+     * Check if a line can run between two consecutive stops
+     * Loops only run forwards; other lines shuttle back and forth so need both directions
+     */
+    canRunSegment(fromId, toId, loop) {
+        const track = this.findTrack(fromId, toId);
+        return Boolean(track) && track.allows(fromId, toId) && (loop || track.allows(toId, fromId));
+    }
+    
+    /**
+     * Generate the lowest unused "Line N" name
+     */
+    generateLineName() {
+        const names = new Set(this.lines.map(l => l.name));
+        let number = 1;
+        while (names.has(`Line ${number}`)) {
+            number++;
+        }
+        return `Line ${number}`;
+    }
+    
+    /**
+     * Get a line by ID
+     */
+    getLine(lineId) {
+        return this.lines.find(l => l.id === lineId) || null;
+    }
+    
+    /**
+     * Add a train to a line, starting at the next stop along from the line's existing trains
+     * Returns the new train, or null if the line doesn't exist, is suspended or the train can't be afforded
+     */
+    addTrainToLine(lineId) {
+        const line = this.getLine(lineId);
+        // A suspended route has no track to place the train on; it would never join the line's other trains
+        if (!line || line.suspended) return null;
+        const item = `a ${TRAIN_TYPES[line.trainType].name.toLowerCase()} train`;
+        if (!this.checkStock('trains', item) || !this.payFor(this.getTrainCost(line.trainType), item)) {
+            return null;
+        }
+        
+        const train = new Train(line.stops, this.getTrainCapacity(), line.loop, line.trainType);
+        train.lineId = line.id;
+        this.placeTrain(train, line.trainIds.length % line.stops.length);
+        
+        line.trainIds.push(train.id);
+        this.trains.push(train);
+        this.replanWaitingPassengers();
+        this.emit('trainAdded', { train, line });
+        return train;
+    }
+    
+    /**
+     * Place a train waiting at the station with the given index in its route
+     */
+    placeTrain(train, routeIndex) {
+        const route = train.route;
+        const stationId = route[routeIndex];
+        
+        // Any adjacent stop works: the next segment is chosen when the train departs
+        let neighborIndex = routeIndex + 1;
+        if (neighborIndex >= route.length) {
+            neighborIndex = train.loop ? 0 : routeIndex - 1;
+        }
+        const neighborId = route[neighborIndex];
+        
+        // For shuttles, initialize the current/target station tracking
+        train.currentStation = stationId;
+        train.targetStation = neighborId;
+        
+        const track = this.findTrack(stationId, neighborId);
+        if (!track) return;
+        
+        this.parkTrain(train, stationId, track);
+        train.pos.routeIndex = routeIndex;
+    }
+    
+    /**
+     * Stop a train waiting at a station, positioned at that station's end of a track
+     * Prefers a track that still exists if the given one has been removed
+     */
+    parkTrain(train, stationId, track) {
+        const touches = t => t && (t.from === stationId || t.to === stationId);
+        if (!this.tracks.includes(track) || !touches(track)) {
+            track = this.tracks.find(touches) || (touches(track) ? track : null);
+        }
+        if (!track) return;
+        
+        train.setTrack(track);
+        train.pos.fromStation = stationId;
+        train.pos.toStation = track.getOtherStation(stationId);
+        
+        // Set correct starting position and direction
+        if (track.from === stationId) {
+            train.pos.t = 0.0;
+            train.moveDirection = 1; // Move toward t=1
+        } else {
+            train.pos.t = 1.0;
+            train.moveDirection = -1; // Move toward t=0
+        }
+        
+        // Start waiting at the station
+        train.startDwell();
+    }
+    
+    /**
+     * Remove the most recently added train from a line
+     * Returns the removal record from removeTrain(), or null if the line has no trains
+     */
+    removeTrainFromLine(lineId) {
+        const line = this.getLine(lineId);
+        if (!line || line.trainIds.length === 0) return null;
+        
+        return this.removeTrain(line.trainIds[line.trainIds.length - 1]);
+    }
+    
+    /**
+     * Take a train out of service, putting its passengers off at the nearest station
+     * Returns a removal record for restoreTrain(), or null if the train doesn't exist
+     */
+    removeTrain(trainId) {
+        const index = this.trains.findIndex(t => t.id === trainId);
+        if (index === -1) return null;
+        
+        const [train] = this.trains.splice(index, 1);
+        const onboard = train.onboard.map(passenger => ({ passenger, state: passenger.captureState() }));
+        this.evacuateTrain(train);
+        
+        const line = this.getLine(train.lineId);
+        const lineIndex = line ? line.trainIds.indexOf(trainId) : -1;
+        if (line) {
+            line.trainIds = line.trainIds.filter(id => id !== trainId);
+        }
+        
+        this.replanWaitingPassengers();
+        this.emit('trainRemoved', { train, line });
+        return { train, index, lineIndex, onboard };
+    }
+    
+    /**
+     * Undo removeTrain(): put the train back in service with the passengers it put off
+     */
+    restoreTrain({ train, index, lineIndex, onboard }) {
+        const line = this.getLine(train.lineId);
+        if (this.trains.includes(train) || !line) return false;
+        
+        this.trains.splice(index, 0, train);
+        line.trainIds.splice(Math.max(0, lineIndex), 0, train.id);
+        this.returnPassengers(train, onboard);
+        
+        this.replanWaitingPassengers();
+        this.emit('trainAdded', { train, line });
+        return true;
+    }
+    
+    /**
+     * Put passengers back on a train after undoing an edit that put them off
+     * Passengers who have since boarded another train, arrived or given up stay where they are
+     */
+    returnPassengers(train, entries) {
+        for (const { passenger, state } of entries) {
+            const station = this.stations.find(s => s.waiting.includes(passenger));
+            if (station) {
+                station.removePassengers([passenger]);
+            } else if (passenger.state === 'onboard' && !this.allPassengers.includes(passenger)) {
+                this.allPassengers.push(passenger); // Dropped because their station no longer existed
+            } else {
+                continue;
+            }
+            
+            passenger.restoreState(state);
+            train.onboard.push(passenger);
+        }
+    }
+    
+    /**
+     * Move a train's passengers to the station it is at or last left
+     * Passengers are dropped from the simulation if that station no longer exists
+     */
+    evacuateTrain(train) {
+        const stationId = train.getCurrentStation() || train.pos.fromStation;
+        const station = this.stations.find(s => s.id === stationId);
+        
+        for (const passenger of train.onboard) {
+            if (station) {
+                passenger.disembark();
+                station.addPassenger(passenger);
+            } else {
+                this.allPassengers = this.allPassengers.filter(p => p !== passenger);
+            }
+        }
+        train.onboard = [];
+    }
+    
+    /**
+     * Rename a line
+     */
+    renameLine(lineId, name) {
+        const line = this.getLine(lineId);
+        if (!line || !name.trim()) return false;
+        
+        line.name = name.trim();
+        this.emit('lineChanged', { line });
+        return true;
+    }
+    
+    /**
+     * Change a line's color
+     */
+    recolorLine(lineId, color) {
+        const line = this.getLine(lineId);
+        if (!line) return false;
+        
+        line.color = color;
+        this.emit('lineChanged', { line });
+        return true;
+    }
+    
+    /**
+     * Change the type of train a line runs, including the trains already on it
+     * Dearer trains pay the difference in price for every train; cheaper ones give nothing back
+     * Undo and redo pass pay = false and settle the price themselves
+     */
+    setLineTrainType(lineId, type, pay = true) {
+        const line = this.getLine(lineId);
+        if (!line || !TRAIN_TYPES[type]) return false;
+        
+        const upgrade = (this.getTrainCost(type) - this.getTrainCost(line.trainType)) * line.trainIds.length;
+        if (pay && upgrade > 0 && !this.payFor(upgrade, `${TRAIN_TYPES[type].name.toLowerCase()} trains on ${line.name}`)) {
+            return false;
+        }
+        
+        line.trainType = type;
+        for (const train of this.trains.filter(t => t.lineId === line.id)) {
+            train.type = type;
+            train.speed = Math.min(train.speed, TRAIN_TYPES[type].maxSpeed);
+        }
+        this.emit('lineChanged', { line });
+        return true;
+    }
+    
+    /**
+     * Change how a line is scheduled: schedule is { mode, interval } with mode a key of SCHEDULE_MODES
+     * Trains start over with new departure times
+     */
+    setLineSchedule(lineId, schedule) {
+        const line = this.getLine(lineId);
+        if (!line || !SCHEDULE_MODES[schedule.mode] || !(schedule.interval > 0)) return false;
+        
+        line.schedule = { mode: schedule.mode, interval: schedule.interval };
+        this.timetable.resetLine(line);
+        this.emit('lineChanged', { line });
+        return true;
+    }
+    
+    /**
+     * Delete a line and all of its trains
+     * Returns a removal record for restoreLine(), or null if the line doesn't exist
+     */
+    deleteLine(lineId) {
+        const line = this.getLine(lineId);
+        if (!line) return null;
+        
+        const trains = [...line.trainIds].map(trainId => this.removeTrain(trainId)).filter(Boolean);
+        const index = this.lines.indexOf(line);
+        this.lines.splice(index, 1);
+        this.emit('lineRemoved', { line });
+        return { line, index, trains };
+    }
+    
+    /**
+     * Undo deleteLine(): put the line back with its trains
+     */
+    restoreLine({ line, index, trains }) {
+        if (this.lines.includes(line)) return false;
+        
+        this.lines.splice(index, 0, line);
+        this.emit('lineAdded', { line });
+        for (const trainRecord of [...trains].reverse()) {
+            this.restoreTrain(trainRecord);
+        }
+        return true;
+    }
+    
+    /**
+     * Serialize the whole network into a save document
+     */
+    saveNetwork(options = {}) {
+        return serializeNetwork(this, options);
+    }
+    
+    /**
+     * Replace the current network with one restored from a save document
+     * Every section is read before anything is replaced, so a malformed save leaves the current network as it was
+     * Returns the restored state so callers can apply view settings such as simulation speed
+     */
+    loadNetwork(doc) {
+        const state = deserializeNetwork(doc);
+        const campaign = state.campaign ? Campaign.fromJSON(state.campaign, this) : null;
+        const timetable = Timetable.fromJSON(state.timetable, this);
+        
+        // Rebuild graph and routing from the restored tracks
+        const graph = new Graph();
+        for (const station of state.stations) {
+            graph.addNode(station.id);
+        }
+        for (const track of state.tracks) {
+            graph.addEdge(track.from, track.to, track.length, track.isBidirectional());
+        }
+        
+        this.stations = state.stations;
+        this.tracks = state.tracks;
+        this.lines = state.lines;
+        this.trains = state.trains;
+        this.allPassengers = state.passengers;
+        this.lostTrips = state.lostTrips;
+        this.clock = state.clock;
+        this.rng = state.rng;
+        this.demandCurves = state.demandCurves;
+        this.odMatrix = state.odMatrix;
+        this.economy = state.economy;
+        this.mode = state.mode;
+        this.modeStart = state.modeStart;
+        this.passengersSpawned = state.passengersSpawned;
+        this.passengersDelivered = state.passengersDelivered;
+        this.deliveredTransfers = state.deliveredTransfers;
+        this.gameOver = state.gameOver;
+        this.campaign = campaign;
+        this.timetable = timetable;
+        this.signalling = new SignallingSystem(this);
+        this.statistics = new Statistics(this);
+        this.tripLog = new TripLog(this);
+        setNextId(state.nextId);
+        
+        this.graph = graph;
+        this.rebuildRoutingTable();
+        this.replanWaitingPassengers();
+        this.emit('networkLoaded', { state });
+        
+        return state;
+    }
+    
+    /**
+     * Find track between two stations
+     */
+    findTrack(stationId1, stationId2) {
+        return this.tracks.find(t => t.connects(stationId1, stationId2));
+    }
+    
+    /**
+     * Rebuild routing table from scratch after the whole graph is replaced
+     * Single edits go through the routing table's addEdge/removeEdge/addNode/removeNode instead
+     */
+    rebuildRoutingTable() {
+        this.routingTable = new RoutingTable(this.graph);
+    }
+    
+    
+    /**
+     * Get summary statistics for the current state
+     */
+    getStats() {
+        const totalPassengers = this.passengersSpawned;
+        const waitingPassengers = this.allPassengers.filter(p => p.state === 'waiting');
+        const avgWaitTime = waitingPassengers.length > 0 
+            ? waitingPassengers.reduce((sum, p) => sum + p.getWaitingTime(), 0) / waitingPassengers.length / 1000
+            : 0;
+        const avgTransfers = this.passengersDelivered > 0 ? this.deliveredTransfers / this.passengersDelivered : 0;
+        
+        // Demand across the network right now, weighted like spawning is by importance
+        const weights = this.stations.map(s => 4 - s.importance);
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const demand = totalWeight > 0
+            ? this.stations.reduce((sum, s, i) => sum + this.getStationDemand(s) * weights[i], 0) / totalWeight
+            : 0;
+        
+        return {
+            totalPassengers,
+            avgWaitTime,
+            lostTrips: this.getLostTrips(),
+            passengersDelivered: this.passengersDelivered,
+            balance: this.economy.balance,
+            money: { ...this.economy.totals, profit: this.economy.getProfit(), operatingCost: this.getOperatingCost() },
+            mode: this.mode,
+            score: this.getScore(),
+            overcrowdedStations: this.stations.filter(s => s.isOvercrowded()).length,
+            campaign: this.campaign && {
+                week: this.campaign.week,
+                nextWeekIn: this.campaign.getNextWeekTime() - this.clock.now(),
+                stock: this.campaign.getStock(),
+                target: this.campaign.target,
+                pendingRewards: this.campaign.pendingRewards
+            },
+            avgTransfers,
+            stationCount: this.stations.length,
+            trainCount: this.trains.length,
+            seed: this.rng.seed,
+            day: this.clock.getDay(),
+            hourOfDay: this.clock.getHourOfDay(),
+            demand
+        };
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Regression tests for the headless simulation core
+ * Run with: node --test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from './simulation.js';
+import { Station } from './models.js';
+import { EditHistory, deleteTrackCommand, addTrainCommand } from './history.js';
+
+/**
+ * Build a simulation with two stations joined by a track and a line running between them
+ */
+function createLineNetwork() {
+    const simulation = new Simulation(1);
+    const a = new Station(100, 100, 3, simulation.rng);
+    const b = new Station(400, 100, 3, simulation.rng);
+    simulation.addStation(a);
+    simulation.addStation(b);
+    const track = simulation.addTrack(a.id, b.id);
+    const line = simulation.addLine([a.id, b.id]);
+    return { simulation, track, line };
+}
+
+test('suspended lines refuse new trains', () => {
+    const { simulation, track, line } = createLineNetwork();
+    simulation.deleteTrack(track);
+    assert.equal(line.suspended, true);
+    
+    const balance = simulation.economy.balance;
+    assert.equal(simulation.addTrainToLine(line.id), null);
+    assert.equal(line.trainIds.length, 1);
+    assert.equal(simulation.economy.balance, balance);
+});
+
+test('undoing and redoing edits keeps a line\'s trains in step with it', () => {
+    const { simulation, track, line } = createLineNetwork();
+    const history = new EditHistory();
+    history.execute(addTrainCommand(simulation, line));
+    history.execute(deleteTrackCommand(simulation, track));
+    assert.equal(history.execute(addTrainCommand(simulation, line)), null);
+    
+    history.goTo(0);
+    history.goTo(history.undoStack.length + history.redoStack.length);
+    const trains = simulation.trains.filter(t => t.lineId === line.id);
+    assert.equal(trains.length, 2);
+    assert.ok(trains.every(t => t.suspended === line.suspended));
+});
+test('run() simulates the whole duration', () => {
+    const simulation = new Simulation(1);
+    let ticks = 0;
+    simulation.statistics.update = () => ticks++;
+    simulation.run(60000);
+    assert.equal(ticks, 3600);
+    simulation.run(25);
+    assert.ok(Math.abs(simulation.clock.now() - 60025) < 1e-6);
+});
+test('redoing a purchase the balance no longer covers is refused', () => {
+    const { simulation, line } = createLineNetwork();
+    const history = new EditHistory();
+    history.execute(addTrainCommand(simulation, line));
+    history.undo();
+    
+    const refused = [];
+    simulation.on('insufficientFunds', event => refused.push(event));
+    simulation.economy.balance = 0;
+    assert.equal(history.redo(), null);
+    assert.equal(history.canRedo(), true);
+    assert.equal(line.trainIds.length, 1);
+    assert.equal(simulation.economy.balance, 0);
+    assert.equal(refused.length, 1);
+});
+test('loading a malformed save leaves the current network in place', () => {
+    const { simulation } = createLineNetwork();
+    const doc = JSON.parse(JSON.stringify(simulation.saveNetwork()));
+    doc.timetable = { departures: null };
+    const stations = simulation.stations;
+    const signalling = simulation.signalling;
+    
+    assert.throws(() => simulation.loadNetwork(doc));
+    assert.equal(simulation.stations, stations);
+    
+    simulation.loadNetwork(simulation.saveNetwork());
+    assert.notEqual(simulation.signalling, signalling);
+}); 
\ No newline at end of file
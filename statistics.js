@@ -0,0 +1,115 @@
+/**
+ * Statistics history for railway simulation
+ * Samples the network at a fixed interval of simulated time so trends can be charted: delivery rate,
+ * wait and travel times of delivered passengers, queues at each station, how full each train is and
+ * how many passengers were carried over each track.
+ */
+
+export const SAMPLE_INTERVAL = 5000; // Simulated ms between samples (five minutes of the day)
+export const HISTORY_LENGTH = 864; // Samples kept, three days at the sample interval
+export const FLOW_WINDOW = 60000; // Recent span of simulated ms that track flows are counted over (an hour of the day)
+
+const MINUTE = 1000; // Simulated ms in one minute of the day
+
+/**
+ * Get the value below which a share of the values fall (nearest rank), 0 if there are none
+ */
+export function percentile(values, share) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil(share * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+}
+
+/**
+ * Summarize a set of times (ms) as average, median and 90th percentile in seconds
+ */
+function summarizeTimes(times) {
+    const average = times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : 0;
+    return { avg: average / 1000, p50: percentile(times, 0.5) / 1000, p90: percentile(times, 0.9) / 1000 };
+}
+
+/**
+ * Statistics class - rolling history of network samples
+ *
+ * Each sample covers the passengers delivered since the previous one:
+ * { time, delivered (per minute), wait: { avg, p50, p90 }, travel: { avg, p50, p90 } (seconds),
+ *   queues: Map of station ID -> passengers waiting, loads: Map of train ID -> share of capacity in use,
+ *   flows: Map of Track -> passengers carried onto it }
+ * History isn't saved; it starts afresh whenever the network is replaced.
+ */
+export class Statistics {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.samples = []; // Oldest first, at most HISTORY_LENGTH
+        this.waits = []; // Waiting times of passengers delivered since the last sample (ms)
+        this.travelTimes = []; // Door-to-door times of passengers delivered since the last sample (ms)
+        this.flows = new Map(); // Track -> passengers carried onto it since the last sample
+        this.nextSampleTime = simulation.clock.now() + SAMPLE_INTERVAL;
+    }
+    
+    /**
+     * Note a passenger reaching their destination
+     */
+    recordArrival(passenger) {
+        this.waits.push(passenger.getWaitingTime());
+        this.travelTimes.push(passenger.getTotalTravelTime());
+    }
+    
+    /**
+     * Note a train setting off along a track with its passengers
+     */
+    recordTrackFlow(track, passengers) {
+        this.flows.set(track, (this.flows.get(track) || 0) + passengers);
+    }
+    
+    /**
+     * Get the passengers carried over each track within the flow window, including the sample in progress
+     * Returns a Map of Track -> passengers; tracks nobody travelled over are missing
+     */
+    getTrackFlows() {
+        const totals = new Map(this.flows);
+        for (const sample of this.samples.slice(-Math.round(FLOW_WINDOW / SAMPLE_INTERVAL))) {
+            for (const [track, passengers] of sample.flows) {
+                totals.set(track, (totals.get(track) || 0) + passengers);
+            }
+        }
+        return totals;
+    }
+    
+    /**
+     * Take a sample once the interval has passed
+     */
+    update() {
+        if (this.simulation.clock.now() < this.nextSampleTime) return;
+        
+        this.takeSample();
+        this.nextSampleTime += SAMPLE_INTERVAL;
+    }
+    
+    /**
+     * Record the current state of the network and what was delivered since the last sample
+     */
+    takeSample() {
+        const simulation = this.simulation;
+        const sample = {
+            time: simulation.clock.now(),
+            delivered: this.travelTimes.length / (SAMPLE_INTERVAL / MINUTE),
+            wait: summarizeTimes(this.waits),
+            travel: summarizeTimes(this.travelTimes),
+            queues: new Map(simulation.stations.map(s => [s.id, s.waiting.length])),
+            loads: new Map(simulation.trains.map(t => [t.id, t.maxCapacity > 0 ? t.onboard.length / t.maxCapacity : 0])),
+            flows: this.flows
+        };
+        
+        this.samples.push(sample);
+        if (this.samples.length > HISTORY_LENGTH) {
+            this.samples.shift();
+        }
+        this.waits = [];
+        this.travelTimes = [];
+        this.flows = new Map();
+        simulation.emit('statisticsSampled', { sample });
+        return sample;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Timetabled operation for railway simulation
+ * Holds trains at stations until their scheduled departure, either keeping an even headway behind
+ * the line's previous train or following a fixed timetable, and logs planned versus actual departures.
+ */
+
+// Ways a line can be scheduled, with display names
+export const SCHEDULE_MODES = { none: 'Run freely', headway: 'Even headway', timetable: 'Fixed timetable' };
+
+const DEPARTURE_LOG_LIMIT = 200; // Most recent departures kept for the timetable view
+const DWELL_ALLOWANCE = 1500; // Time planned for each stop (ms)
+const RECOVERY_MARGIN = 1.1; // Planned running times are this much slower than the fastest possible run
+
+/**
+ * Estimate the fastest time (ms) a train can run a track from standstill to standstill
+ */
+function estimateRunTime(track, performance) {
+    const { acceleration, deceleration } = performance;
+    const topSpeed = Math.min(performance.maxSpeed, track.maxSpeed);
+    const rampDistance = topSpeed * topSpeed / (2 * acceleration) + topSpeed * topSpeed / (2 * deceleration);
+    
+    if (rampDistance >= track.length) {
+        // Too short to reach top speed: accelerate then brake straight away
+        const peak = Math.sqrt(2 * track.length * acceleration * deceleration / (acceleration + deceleration));
+        return (peak / acceleration + peak / deceleration) * 1000;
+    }
+    return ((track.length - rampDistance) / topSpeed + topSpeed / acceleration + topSpeed / deceleration) * 1000;
+}
+
+/**
+ * Timetable class - decides when trains on scheduled lines may leave a station
+ *
+ * Headway lines depart each station one interval after the line's previous departure in the same
+ * direction. Timetabled lines leave their first stop on clock-face slots one interval apart and plan
+ * every later stop from the planned running and dwell times, so a late train stays late until it
+ * makes the time up or starts its next trip; a train more than one interval behind is given a new slot.
+ */
+export class Timetable {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.departures = []; // Recent departures, oldest first: { trainId, lineId, stationId, toId, planned, actual }
+        this.plans = new Map(); // Train ID -> { stationId, time, slot } of its next planned departure (fixed timetables)
+        this.lastDepartures = new Map(); // `${lineId}:${fromId}>${toId}` -> time of the latest departure (headways)
+        this.slots = new Map(); // `${lineId}:${fromId}>${toId}` -> latest clock-face slot handed out (fixed timetables)
+    }
+    
+    /**
+     * Get the schedule of a train's line, or null if it runs freely
+     */
+    getSchedule(train) {
+        const line = this.simulation.getLine(train.lineId);
+        return line && line.schedule.mode !== 'none' ? line.schedule : null;
+    }
+    
+    /**
+     * Get when a train is planned to leave a station towards the next one
+     * Returns a simulated time (ms), or null if the train isn't scheduled
+     */
+    getPlannedDeparture(train, fromId, toId) {
+        const schedule = this.getSchedule(train);
+        if (!schedule) return null;
+        
+        const now = this.simulation.clock.now();
+        const key = `${train.lineId}:${fromId}>${toId}`;
+        if (schedule.mode === 'headway') {
+            const last = this.lastDepartures.get(key);
+            return last !== undefined ? last + schedule.interval : now;
+        }
+        
+        // Trips start from the line's first stop, so a train planned to arrive there still needs a slot
+        const line = this.simulation.getLine(train.lineId);
+        const plan = this.plans.get(train.id);
+        const onPlan = plan && plan.stationId === fromId && now - plan.time <= schedule.interval;
+        if (onPlan && (plan.slot || fromId !== line.stops[0])) {
+            return plan.time;
+        }
+        
+        // First clock-face slot from when the train can leave that no other train of the line has taken
+        const earliest = onPlan ? Math.max(now, plan.time) : now;
+        let slot = Math.ceil(earliest / schedule.interval) * schedule.interval;
+        const taken = this.slots.get(key);
+        if (taken !== undefined && slot <= taken) {
+            slot = taken + schedule.interval;
+        }
+        this.slots.set(key, slot);
+        this.plans.set(train.id, { stationId: fromId, time: slot, slot: true });
+        return slot;
+    }
+    
+    /**
+     * Check if a train may leave a station yet
+     */
+    canDepart(train, fromId, toId) {
+        const planned = this.getPlannedDeparture(train, fromId, toId);
+        return planned === null || this.simulation.clock.now() >= planned;
+    }
+    
+    /**
+     * Log a train leaving a station and plan its next departure
+     * Returns the departure record, or null if the train isn't scheduled
+     */
+    recordDeparture(train, fromId, toId, track) {
+        const planned = this.getPlannedDeparture(train, fromId, toId);
+        if (planned === null) return null;
+        
+        const departure = {
+            trainId: train.id,
+            lineId: train.lineId,
+            stationId: fromId,
+            toId,
+            planned,
+            actual: this.simulation.clock.now()
+        };
+        this.departures.push(departure);
+        if (this.departures.length > DEPARTURE_LOG_LIMIT) {
+            this.departures.shift();
+        }
+        this.lastDepartures.set(`${train.lineId}:${fromId}>${toId}`, departure.actual);
+        
+        if (this.getSchedule(train).mode === 'timetable') {
+            const runTime = estimateRunTime(track, train.getPerformance()) * RECOVERY_MARGIN;
+            this.plans.set(train.id, { stationId: toId, time: planned + runTime + DWELL_ALLOWANCE, slot: false });
+        }
+        return departure;
+    }
+    
+    /**
+     * Get how late a departure was (ms); departures held for their slot are never early
+     */
+    getDelay(departure) {
+        return departure.actual - departure.planned;
+    }
+    
+    /**
+     * Get a line's most recent departures, newest first
+     */
+    getLineDepartures(lineId, limit = 10) {
+        return this.departures.filter(d => d.lineId === lineId).slice(-limit).reverse();
+    }
+    
+    /**
+     * Get the most recent departure of a train, or null if it hasn't left on schedule yet
+     */
+    getLastDeparture(train) {
+        for (let i = this.departures.length - 1; i >= 0; i--) {
+            if (this.departures[i].trainId === train.id) return this.departures[i];
+        }
+        return null;
+    }
+    
+    /**
+     * Forget the plans of a line's trains, e.g. after its schedule changes
+     */
+    resetLine(line) {
+        for (const trainId of line.trainIds) {
+            this.plans.delete(trainId);
+        }
+        for (const times of [this.lastDepartures, this.slots]) {
+            for (const key of [...times.keys()]) {
+                if (key.startsWith(`${line.id}:`)) {
+                    times.delete(key);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Serialize timetable state (plans are kept only for trains that still exist)
+     */
+    toJSON() {
+        const trainIds = new Set(this.simulation.trains.map(t => t.id));
+        return {
+            departures: this.departures.map(d => ({ ...d })),
+            plans: [...this.plans].filter(([trainId]) => trainIds.has(trainId)).map(([trainId, plan]) => [trainId, { ...plan }]),
+            lastDepartures: [...this.lastDepartures],
+            slots: [...this.slots]
+        };
+    }
+    
+    /**
+     * Restore a timetable from serialized data
+     */
+    static fromJSON(data, simulation) {
+        const timetable = new Timetable(simulation);
+        timetable.departures = data.departures.map(d => ({ ...d }));
+        timetable.plans = new Map(data.plans.map(([trainId, plan]) => [trainId, { ...plan }]));
+        timetable.lastDepartures = new Map(data.lastDepartures);
+        timetable.slots = new Map(data.slots);
+        return timetable;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Trip log for railway simulation
+ * Keeps a record of every finished passenger trip and periodic snapshots of each station and train,
+ * for export to spreadsheets as CSV or for other tools as JSON. Both are bounded so long runs keep
+ * a fixed memory footprint: the oldest records are dropped first.
+ */
+
+export const TRIP_LOG_LIMIT = 50000; // Most recent finished trips kept
+export const SNAPSHOT_INTERVAL = 15000; // Simulated ms between snapshots (a quarter of an hour of the day)
+export const SNAPSHOT_LIMIT = 672; // Snapshots kept, one week at the snapshot interval
+
+// Columns of each export, in order; all times are simulated milliseconds
+const TRIP_COLUMNS = [
+    'id', 'outcome', 'origin', 'originName', 'destination', 'destinationName', 'spawnTime', 'boardTime', 'endTime',
+    'trainId', 'transfers', 'waitTime', 'travelTime', 'lostAt', 'lostReason'
+];
+const STATION_COLUMNS = [
+    'time', 'stationId', 'name', 'importance', 'role', 'waiting', 'capacity', 'overcrowdedTime', 'lostTrips'
+];
+const TRAIN_COLUMNS = ['time', 'trainId', 'lineId', 'lineName', 'type', 'onboard', 'capacity', 'load', 'speed', 'state'];
+
+/**
+ * Round a simulated time to whole milliseconds, keeping null for times that never came
+ */
+function roundTime(time) {
+    return time === null ? null : Math.round(time);
+}
+
+/**
+ * Format one CSV cell, quoting it if it holds a comma, quote or line break
+ */
+function formatCSVCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows of objects as CSV with a header row of the given columns
+ */
+export function formatCSV(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCSVCell(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * TripLog class - finished trips and station and train snapshots for export
+ *
+ * Trips: { id, outcome ('arrived' | 'lost'), origin, originName, destination, destinationName, spawnTime,
+ *   boardTime (first boarding, or null), endTime (arrival or giving up), trainId (train arrived on, or null),
+ *   transfers, waitTime, travelTime (null if lost), lostAt, lostReason (key of LOST_REASONS, or null) }
+ * Snapshots: { time, stations: [{ stationId, name, importance, role, waiting, capacity, overcrowdedTime,
+ *   lostTrips }], trains: [{ trainId, lineId, lineName, type, onboard, capacity, load, speed, state }] }
+ * The log isn't saved; it starts afresh whenever the network is replaced.
+ */
+export class TripLog {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.trips = []; // Oldest first, at most TRIP_LOG_LIMIT
+        this.snapshots = []; // Oldest first, at most SNAPSHOT_LIMIT
+        this.droppedTrips = 0; // Trips dropped from the front to stay within the limit
+        this.nextSnapshotTime = simulation.clock.now() + SNAPSHOT_INTERVAL;
+    }
+    
+    /**
+     * Record a passenger's finished trip, with the train they arrived on
+     */
+    recordTrip(passenger, trainId = null) {
+        const arrived = passenger.state === 'arrived';
+        this.trips.push({
+            id: passenger.id,
+            outcome: passenger.state,
+            origin: passenger.origin,
+            originName: this.getStationName(passenger.origin),
+            destination: passenger.dest,
+            destinationName: this.getStationName(passenger.dest),
+            spawnTime: roundTime(passenger.spawn),
+            boardTime: roundTime(passenger.boardTime),
+            endTime: roundTime(arrived ? passenger.arrivalTime : passenger.lostTime),
+            trainId,
+            transfers: passenger.transfers,
+            waitTime: roundTime(passenger.getWaitingTime()),
+            travelTime: arrived ? roundTime(passenger.getTotalTravelTime()) : null,
+            lostAt: passenger.lostAt,
+            lostReason: passenger.lostReason
+        });
+        if (this.trips.length > TRIP_LOG_LIMIT) {
+            this.trips.shift();
+            this.droppedTrips++;
+        }
+    }
+    
+    /**
+     * Get a station's name, or an empty name if it no longer exists
+     */
+    getStationName(stationId) {
+        const station = this.simulation.stations.find(s => s.id === stationId);
+        return station ? station.name : '';
+    }
+    
+    /**
+     * Take a snapshot once the interval has passed
+     */
+    update() {
+        if (this.simulation.clock.now() < this.nextSnapshotTime) return;
+        
+        this.takeSnapshot();
+        this.nextSnapshotTime += SNAPSHOT_INTERVAL;
+    }
+    
+    /**
+     * Record the state of every station and train
+     */
+    takeSnapshot() {
+        const simulation = this.simulation;
+        const snapshot = {
+            time: roundTime(simulation.clock.now()),
+            stations: simulation.stations.map(station => ({
+                stationId: station.id,
+                name: station.name,
+                importance: station.importance,
+                role: station.role,
+                waiting: station.waiting.length,
+                capacity: station.getCapacity(),
+                overcrowdedTime: Math.round(station.overcrowdedTime),
+                lostTrips: simulation.getLostTrips(station.id).total
+            })),
+            trains: simulation.trains.map(train => {
+                const line = simulation.getLine(train.lineId);
+                return {
+                    trainId: train.id,
+                    lineId: train.lineId,
+                    lineName: line ? line.name : '',
+                    type: train.type,
+                    onboard: train.onboard.length,
+                    capacity: train.maxCapacity,
+                    load: train.maxCapacity > 0 ? Number((train.onboard.length / train.maxCapacity).toFixed(3)) : 0,
+                    speed: Math.round(train.speed),
+                    state: train.suspended ? 'suspended' : (train.waiting ? 'stopped' : 'moving')
+                };
+            })
+        };
+        
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > SNAPSHOT_LIMIT) {
+            this.snapshots.shift();
+        }
+        return snapshot;
+    }
+    
+    /**
+     * Format the trip log as CSV, one row per trip
+     */
+    tripsToCSV() {
+        return formatCSV(TRIP_COLUMNS, this.trips);
+    }
+    
+    /**
+     * Format the station snapshots as CSV, one row per station per snapshot
+     */
+    stationsToCSV() {
+        return formatCSV(STATION_COLUMNS,
+            this.snapshots.flatMap(({ time, stations }) => stations.map(row => ({ time, ...row }))));
+    }
+    
+    /**
+     * Format the train snapshots as CSV, one row per train per snapshot
+     */
+    trainsToCSV() {
+        return formatCSV(TRAIN_COLUMNS,
+            this.snapshots.flatMap(({ time, trains }) => trains.map(row => ({ time, ...row }))));
+    }
+    
+    /**
+     * Export the trips and snapshots with the run they came from
+     */
+    toJSON() {
+        return {
+            seed: this.simulation.rng.seed,
+            exportedAt: roundTime(this.simulation.clock.now()),
+            droppedTrips: this.droppedTrips,
+            trips: this.trips,
+            snapshots: this.snapshots
+        };
+    }
+} 
\ No newline at end of file
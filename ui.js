@@ -3,15 +3,33 @@
  * Handles mouse events, toolbar interactions, and tool switching
  */
 
-import { Station, Track, Train, stationDistance } from './models.js';
+import { Station, Track, Train, TRACK_MODES, TRAIN_TYPES, LOST_REASONS, OVERCROWDING_LIMIT, stationDistance } from './models.js';
+import {
+    EditHistory, addStationCommand, deleteStationCommand, changeImportanceCommand, changeRoleCommand, importODMatrixCommand,
+    addTrackCommand,
+    deleteTrackCommand, trackModeCommand, smoothTrackCommand, trackSpeedCommand, addLineCommand, deleteLineCommand, addTrainCommand,
+    removeTrainCommand, renameLineCommand, recolorLineCommand, lineTrainTypeCommand, lineScheduleCommand
+} from './history.js';
+import { SCHEDULE_MODES } from './timetable.js';
+import { formatClockTime, formatTimeOfDay, formatGameDuration } from './clock.js';
+import { formatMoney } from './economy.js';
+import { CAMPAIGN_REWARDS } from './campaign.js';
+import { Dashboard } from './dashboard.js';
 
 export class UIManager {
     constructor(canvas, game) {
         this.canvas = canvas;
         this.game = game;
+        this.simulation = game.simulation;
+        this.history = new EditHistory(); // Every network edit goes through here so it can be undone
         this.currentTool = 'station';
-        this.selectedStation = null; // For track and train tools
+        this.selectedStation = null; // For track tool
+        this.trackWaypoints = []; // Bend points placed so far with the track tool
+        this.curvedTracks = false; // New tracks curve smoothly through their bend points
+        this.routeStops = []; // Stations picked so far with the train tool
         this.settingsSelectedStation = null; // For station settings panel
+        this.settingsSelectedTrack = null; // For track settings panel
+        this.heatmapVisible = false; // Tracks and stations drawn by passenger flow and waiting time
         this.hoveredStation = null;
         this.mousePos = { x: 0, y: 0 };
         
@@ -19,6 +37,12 @@ export class UIManager {
         this.setupToolbar();
         this.setupHUD();
         this.setupStationSettings();
+        this.setupTrackSettings();
+        this.setupLinesPanel();
+        this.setupHistoryPanel();
+        this.setupTimetablePanel();
+        this.setupDashboard();
+        this.setupGameMode();
     }
     
     /**
@@ -27,11 +51,40 @@ export class UIManager {
     setupEventListeners() {
         // Mouse events
         this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('dblclick', () => {
+            if (this.currentTool === 'train') {
+                this.finishRoute();
+            }
+        });
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        
+        // Signalling problems need the player's attention
+        this.simulation.on('deadlock', ({ trains }) => this.updateStatus(this.describeDeadlock(trains)));
+        
+        // Construction the balance doesn't cover is refused
+        this.simulation.on('insufficientFunds', ({ item, cost, balance }) => {
+            this.updateStatus(`⚠ Not enough money for ${item}: costs ${formatMoney(cost)}, balance ${formatMoney(balance)}`);
+        });
+        
+        // In a campaign, construction is also limited by the week's stock
+        this.simulation.on('outOfStock', ({ kind, item }) => {
+            this.updateStatus(`⚠ No ${kind} left for ${item} - more arrive at the start of next week`);
+        });
+    }
+    
+    /**
+     * Summarize a deadlock for the status bar
+     */
+    describeDeadlock(trains) {
+        const names = trains.map(train => {
+            const line = this.simulation.getLine(train.lineId);
+            return `${line ? line.name : 'Train'} #${train.id}`;
+        });
+        return `⚠ Deadlock: ${names.join(', ')} are blocking each other at signals`;
     }
     
     /**
@@ -45,6 +98,126 @@ export class UIManager {
         stationTool.addEventListener('click', () => this.setTool('station'));
         trackTool.addEventListener('click', () => this.setTool('track'));
         trainTool.addEventListener('click', () => this.setTool('train'));
+        
+        const saveButton = document.getElementById('saveNetwork');
+        const openButton = document.getElementById('openNetwork');
+        const openFile = document.getElementById('openNetworkFile');
+        
+        saveButton.addEventListener('click', () => this.saveNetwork());
+        openButton.addEventListener('click', () => openFile.click());
+        openFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.openNetwork(file);
+            }
+            e.target.value = ''; // Allow reopening the same file
+        });
+        
+        const heatmapToggle = document.getElementById('heatmapToggle');
+        heatmapToggle.addEventListener('click', () => {
+            this.heatmapVisible = !this.heatmapVisible;
+            heatmapToggle.classList.toggle('active', this.heatmapVisible);
+            this.updateStatus(this.heatmapVisible
+                ? 'Heatmap: thick red tracks carry the most passengers, grey ones none; station halos show waiting time'
+                : null);
+        });
+        
+        const importODButton = document.getElementById('importOD');
+        const importODFile = document.getElementById('importODFile');
+        importODButton.addEventListener('click', () => importODFile.click());
+        importODFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importODMatrix(file);
+            }
+            e.target.value = '';
+        });
+    }
+    
+    /**
+     * Import an origin-destination matrix from a CSV file chosen by the user
+     * Rows that can't be used are reported in the status bar
+     */
+    async importODMatrix(file) {
+        let result;
+        try {
+            result = this.history.execute(importODMatrixCommand(this.simulation, await file.text()));
+        } catch (error) {
+            this.updateStatus(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        const parts = [`Imported ${result.matrix.getSize()} station pairs from ${file.name}`];
+        if (result.warnings.length > 0) {
+            const shown = result.warnings.slice(0, 3).join('; ');
+            parts.push(`⚠ ${result.warnings.length} warnings: ${shown}${result.warnings.length > 3 ? '; …' : ''}`);
+        }
+        this.updateStatus(parts.join(' | '));
+    }
+    
+    /**
+     * Download the current network as a JSON file
+     */
+    saveNetwork() {
+        const doc = this.game.saveNetwork();
+        this.downloadFile('network.json', JSON.stringify(doc, null, 2), 'application/json');
+        this.updateStatus(`Network saved (${doc.stations.length} stations, ${doc.trains.length} trains)`);
+    }
+    
+    /**
+     * Offer text to the user as a file download
+     */
+    downloadFile(name, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        // Some browsers only start the download after the click returns, so keep the URL alive until then
+        setTimeout(() => URL.revokeObjectURL(url));
+    }
+    
+    /**
+     * Download the trip log or snapshots as CSV, or all of them as JSON
+     */
+    exportTripLog(kind) {
+        const log = this.simulation.tripLog;
+        const exports = {
+            trips: ['trips.csv', () => log.tripsToCSV(), 'text/csv', `${log.trips.length} trips`],
+            stations: ['stations.csv', () => log.stationsToCSV(), 'text/csv', `${log.snapshots.length} station snapshots`],
+            trains: ['trains.csv', () => log.trainsToCSV(), 'text/csv', `${log.snapshots.length} train snapshots`],
+            json: ['triplog.json', () => JSON.stringify(log.toJSON(), null, 2), 'application/json',
+                `${log.trips.length} trips and ${log.snapshots.length} snapshots`]
+        };
+        const [name, format, type, description] = exports[kind];
+        this.downloadFile(name, format(), type);
+        this.updateStatus(`Exported ${description} to ${name}`);
+    }
+    
+    /**
+     * Load a network from a JSON file chosen by the user
+     */
+    async openNetwork(file) {
+        try {
+            const doc = JSON.parse(await file.text());
+            this.game.loadNetwork(doc);
+        } catch (error) {
+            this.updateStatus(`Could not open ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        // Clear selections that refer to the previous network
+        this.selectedStation = null;
+        this.hoveredStation = null;
+        this.hideStationSettings();
+        
+        const speed = this.game.simulationSpeed;
+        document.getElementById('speedSlider').value = speed;
+        document.getElementById('speedValue').textContent = `${speed.toFixed(1)}x`;
+        
+        this.updateStatus(`Opened ${file.name}`);
     }
     
     /**
@@ -66,20 +239,32 @@ export class UIManager {
      */
     setupStationSettings() {
         const importanceSelect = document.getElementById('importanceSelect');
+        const roleSelect = document.getElementById('roleSelect');
         const deleteButton = document.getElementById('deleteStation');
         const deselectButton = document.getElementById('deselectStation');
         
         importanceSelect.addEventListener('change', (e) => {
             if (this.settingsSelectedStation) {
                 const newImportance = parseInt(e.target.value);
-                this.game.changeStationImportance(this.settingsSelectedStation.id, newImportance);
+                this.history.execute(changeImportanceCommand(this.simulation, this.settingsSelectedStation, newImportance));
+                this.updateStationSettingsPanel();
+            }
+        });
+        
+        roleSelect.addEventListener('change', (e) => {
+            if (this.settingsSelectedStation) {
+                this.history.execute(changeRoleCommand(this.simulation, this.settingsSelectedStation, e.target.value));
                 this.updateStationSettingsPanel();
             }
         });
         
         deleteButton.addEventListener('click', () => {
+            if (this.settingsSelectedStation && this.simulation.mode === 'campaign') {
+                this.updateStatus('⚠ The city decides where stations go in a campaign');
+                return;
+            }
             if (this.settingsSelectedStation) {
-                this.game.deleteStation(this.settingsSelectedStation.id);
+                this.history.execute(deleteStationCommand(this.simulation, this.settingsSelectedStation));
                 this.hideStationSettings();
             }
         });
@@ -89,13 +274,652 @@ export class UIManager {
         });
     }
     
+    /**
+     * Set up track settings panel
+     */
+    setupTrackSettings() {
+        const modeSelect = document.getElementById('trackModeSelect');
+        const smoothCheckbox = document.getElementById('trackSmooth');
+        const speedSelect = document.getElementById('trackSpeedSelect');
+        const deleteButton = document.getElementById('deleteTrack');
+        const deselectButton = document.getElementById('deselectTrack');
+        
+        modeSelect.addEventListener('change', (e) => {
+            if (this.settingsSelectedTrack) {
+                const result = this.history.execute(trackModeCommand(this.simulation, this.settingsSelectedTrack, e.target.value));
+                this.updateTrackSettingsPanel();
+                if (result) {
+                    this.updateStatus(this.describeTrackModeChange(result));
+                }
+            }
+        });
+        
+        smoothCheckbox.addEventListener('change', (e) => {
+            if (this.settingsSelectedTrack) {
+                this.history.execute(smoothTrackCommand(this.simulation, this.settingsSelectedTrack, e.target.checked));
+                this.updateTrackSettingsPanel();
+            }
+        });
+        
+        speedSelect.addEventListener('change', (e) => {
+            if (this.settingsSelectedTrack) {
+                const speed = parseInt(e.target.value);
+                const changed = this.history.execute(trackSpeedCommand(this.simulation, this.settingsSelectedTrack, speed));
+                this.updateTrackSettingsPanel();
+                if (!changed && this.simulation.campaign) {
+                    this.updateStatus(`⚠ Tracks can't run faster than ${this.simulation.campaign.getTrackSpeedLimit()} px/s yet - ` +
+                        'choose the faster track upgrade');
+                }
+            }
+        });
+        
+        deleteButton.addEventListener('click', () => {
+            if (this.settingsSelectedTrack) {
+                const result = this.history.execute(deleteTrackCommand(this.simulation, this.settingsSelectedTrack));
+                this.hideTrackSettings();
+                if (result) {
+                    this.updateStatus(this.describeTrackRemoval(result));
+                }
+            }
+        });
+        
+        deselectButton.addEventListener('click', () => {
+            this.hideTrackSettings();
+        });
+    }
+    
+    /**
+     * Summarize the effects of changing a track's mode for the status bar
+     */
+    describeTrackModeChange({ track, rerouted, suspended }) {
+        const parts = [`Track between Station ${track.from} and Station ${track.to} is now ${TRACK_MODES[track.mode].toLowerCase()}`];
+        if (rerouted.length > 0) {
+            parts.push(`re-routed ${rerouted.map(l => l.name).join(', ')}`);
+        }
+        if (suspended.length > 0) {
+            parts.push(`⚠ suspended ${suspended.map(l => l.name).join(', ')} (no way around)`);
+        }
+        return parts.join(' | ');
+    }
+    
+    /**
+     * Summarize the effects of removing a track for the status bar
+     */
+    describeTrackRemoval({ track, rerouted, suspended, stranded }) {
+        const parts = [`Track between Station ${track.from} and Station ${track.to} deleted`];
+        if (rerouted.length > 0) {
+            parts.push(`re-routed ${rerouted.map(l => l.name).join(', ')}`);
+        }
+        if (suspended.length > 0) {
+            parts.push(`⚠ suspended ${suspended.map(l => l.name).join(', ')} (no alternate path)`);
+        }
+        if (stranded > 0) {
+            parts.push(`${stranded} waiting passengers have no route`);
+        }
+        return parts.join(' | ');
+    }
+    
+    /**
+     * Set up the lines panel and keep it in sync with the simulation
+     */
+    setupLinesPanel() {
+        const events = [
+            'lineAdded', 'lineChanged', 'lineRemoved', 'trainAdded', 'trainRemoved', 'networkLoaded', 'networkCleared'
+        ];
+        for (const event of events) {
+            this.simulation.on(event, () => this.updateLinesPanel());
+        }
+        this.updateLinesPanel();
+    }
+    
+    /**
+     * Rebuild the lines panel list
+     */
+    updateLinesPanel() {
+        const list = document.getElementById('linesList');
+        list.innerHTML = '';
+        
+        if (this.simulation.lines.length === 0) {
+            const note = document.createElement('div');
+            note.className = 'empty-note';
+            note.textContent = 'No lines yet. Use the Train Tool to create one.';
+            list.appendChild(note);
+            return;
+        }
+        
+        for (const line of this.simulation.lines) {
+            list.appendChild(this.createLineRow(line));
+        }
+    }
+    
+    /**
+     * Create the controls for one line: color, name, train type, train count, add/remove train, delete
+     */
+    createLineRow(line) {
+        const row = document.createElement('div');
+        row.className = 'line-row';
+        
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = line.color;
+        colorInput.title = 'Line color';
+        colorInput.addEventListener('change', (e) => {
+            this.history.execute(recolorLineCommand(this.simulation, line, e.target.value));
+        });
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = line.name;
+        nameInput.title = 'Line name';
+        nameInput.addEventListener('change', (e) => {
+            if (!this.history.execute(renameLineCommand(this.simulation, line, e.target.value))) {
+                e.target.value = line.name; // Reject empty or unchanged names
+            }
+        });
+        
+        const typeSelect = document.createElement('select');
+        typeSelect.title = 'Train type';
+        for (const [type, { name }] of Object.entries(TRAIN_TYPES)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = name;
+            typeSelect.appendChild(option);
+        }
+        typeSelect.value = line.trainType;
+        typeSelect.addEventListener('change', (e) => {
+            if (!this.history.execute(lineTrainTypeCommand(this.simulation, line, e.target.value))) {
+                e.target.value = line.trainType; // Refused for lack of money
+            }
+        });
+        
+        const trainCount = document.createElement('span');
+        trainCount.textContent = `${line.suspended ? '⚠' : '🚂'} ${line.trainIds.length}`;
+        trainCount.title = line.suspended
+            ? 'Suspended: no usable track for part of this route'
+            : `${line.stops.length} stops${line.loop ? ', loop' : ''}`;
+        
+        const addButton = document.createElement('button');
+        addButton.textContent = '+';
+        addButton.title = line.suspended ? 'Trains can\'t be added while the line is suspended' : 'Add a train to this line';
+        addButton.disabled = line.suspended;
+        addButton.addEventListener('click', () => {
+            if (this.history.execute(addTrainCommand(this.simulation, line))) {
+                this.updateStatus(`Train added to ${line.name}`);
+            }
+        });
+        
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '−';
+        removeButton.title = 'Remove a train from this line';
+        removeButton.addEventListener('click', () => {
+            if (this.history.execute(removeTrainCommand(this.simulation, line))) {
+                this.updateStatus(`Train removed from ${line.name}`);
+            }
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'danger';
+        deleteButton.textContent = '✕';
+        deleteButton.title = 'Delete this line and its trains';
+        deleteButton.addEventListener('click', () => {
+            this.history.execute(deleteLineCommand(this.simulation, line));
+            this.updateStatus(`${line.name} deleted`);
+        });
+        
+        row.append(colorInput, nameInput, typeSelect, trainCount, addButton, removeButton, deleteButton);
+        return row;
+    }
+    
+    /**
+     * Set up the timetable panel and its toolbar toggle
+     */
+    setupTimetablePanel() {
+        this.timetableDepartureLists = new Map(); // Line ID -> element listing the line's departures
+        
+        const toggle = document.getElementById('timetableToggle');
+        const panel = document.getElementById('timetablePanel');
+        toggle.addEventListener('click', () => {
+            const visible = panel.style.display === 'none';
+            panel.style.display = visible ? 'block' : 'none';
+            toggle.classList.toggle('active', visible);
+            this.updateTimetablePanel();
+        });
+        
+        const events = [
+            'lineAdded', 'lineChanged', 'lineRemoved', 'trainAdded', 'trainRemoved', 'networkLoaded', 'networkCleared'
+        ];
+        for (const event of events) {
+            this.simulation.on(event, () => this.updateTimetablePanel());
+        }
+        // Departures only refresh their own line, so schedule inputs keep focus while trains run
+        this.simulation.on('trainDeparted', ({ departure }) => {
+            const line = departure && this.simulation.getLine(departure.lineId);
+            if (line) {
+                this.updateTimetableDepartures(line);
+            }
+        });
+    }
+    
+    /**
+     * Set up the statistics dashboard, its toggle, its pause and scrub controls and the trip log exports
+     */
+    setupDashboard() {
+        this.dashboard = new Dashboard(document.getElementById('dashboardCanvas'), this.simulation);
+        
+        const toggle = document.getElementById('dashboardToggle');
+        const panel = document.getElementById('dashboardPanel');
+        toggle.addEventListener('click', () => {
+            const visible = panel.style.display === 'none';
+            panel.style.display = visible ? 'block' : 'none';
+            toggle.classList.toggle('active', visible);
+            this.updateDashboard();
+        });
+        
+        document.getElementById('dashboardPause').addEventListener('click', () => {
+            if (this.dashboard.paused) {
+                this.dashboard.resume();
+            } else {
+                this.dashboard.pause();
+            }
+            this.updateDashboard();
+        });
+        document.getElementById('dashboardScrub').addEventListener('input', (e) => {
+            this.dashboard.scrubTo(parseInt(e.target.value));
+            this.updateDashboard();
+        });
+        
+        const exportButtons = { exportTrips: 'trips', exportStations: 'stations', exportTrains: 'trains', exportJson: 'json' };
+        for (const [id, kind] of Object.entries(exportButtons)) {
+            document.getElementById(id).addEventListener('click', () => this.exportTripLog(kind));
+        }
+        
+        this.simulation.on('statisticsSampled', () => this.updateDashboard());
+        // A replaced network starts a new history, so there is nothing left to look back at
+        for (const event of ['networkLoaded', 'networkCleared']) {
+            this.simulation.on(event, () => {
+                this.dashboard.resume();
+                this.updateDashboard();
+            });
+        }
+    }
+    
+    /**
+     * Redraw the dashboard and move its scrubber to the view, if the dashboard is showing
+     */
+    updateDashboard() {
+        if (document.getElementById('dashboardPanel').style.display === 'none') return;
+        
+        const scrub = document.getElementById('dashboardScrub');
+        scrub.max = Math.max(0, this.simulation.statistics.samples.length - 1);
+        scrub.value = Math.max(0, this.dashboard.getViewEndIndex());
+        document.getElementById('dashboardPause').textContent = this.dashboard.paused ? '▶ Live' : '⏸ Pause';
+        document.getElementById('dashboardView').textContent =
+            `${this.dashboard.describeView()}${this.dashboard.paused ? ' (paused)' : ''}`;
+        this.dashboard.render();
+    }
+    
+    /**
+     * Set up the survival and campaign toggles, the campaign panel and the game-over screen
+     */
+    setupGameMode() {
+        document.getElementById('survivalToggle').addEventListener('click', () => {
+            this.simulation.setMode(this.simulation.mode === 'survival' ? 'sandbox' : 'survival');
+        });
+        document.getElementById('campaignToggle').addEventListener('click', () => {
+            if (this.simulation.mode === 'campaign') {
+                this.simulation.setMode('sandbox');
+                return;
+            }
+            // A campaign starts from an empty city
+            if (this.simulation.stations.length > 0 &&
+                !window.confirm('Start a campaign? The current network will be cleared.')) return;
+            this.simulation.setMode('campaign', { bounds: { width: this.canvas.width, height: this.canvas.height } });
+        });
+        document.getElementById('keepBuilding').addEventListener('click', () => this.simulation.setMode('sandbox'));
+        document.getElementById('newGame').addEventListener('click', () => window.location.reload());
+        
+        this.simulation.on('modeChanged', ({ mode }) => {
+            this.updateGameMode();
+            this.updateStatus({
+                sandbox: 'Sandbox: stations can overcrowd without ending the game',
+                survival: `Survival: keep every station below capacity - one overcrowded for ${OVERCROWDING_LIMIT / 1000}s ends the run`,
+                campaign: `Campaign: deliver ${this.simulation.campaign && this.simulation.campaign.target} passengers ` +
+                    'as the city grows - new tracks and trains arrive every week'
+            }[mode]);
+        });
+        this.simulation.on('campaignWeek', ({ week, stock }) => {
+            this.updateCampaignPanel();
+            this.updateStatus(`Week ${week}: ${stock.tracks} tracks and ${stock.trains} trains in stock - choose an upgrade`);
+        });
+        this.simulation.on('campaignReward', ({ reward }) => {
+            this.updateCampaignPanel();
+            this.updateStatus(`${CAMPAIGN_REWARDS[reward]} added`);
+        });
+        this.simulation.on('networkCleared', () => {
+            this.selectedStation = null;
+            this.hoveredStation = null;
+            this.trackWaypoints = [];
+            this.routeStops = [];
+            this.hideStationSettings();
+            this.hideTrackSettings();
+        });
+        this.simulation.on('gameOver', () => this.updateGameMode());
+        this.simulation.on('networkLoaded', () => this.updateGameMode());
+    }
+    
+    /**
+     * Show the current mode on its toggles, the campaign panel during a campaign and the game-over screen
+     * once a run has ended
+     */
+    updateGameMode() {
+        document.getElementById('survivalToggle').classList.toggle('active', this.simulation.mode === 'survival');
+        document.getElementById('campaignToggle').classList.toggle('active', this.simulation.mode === 'campaign');
+        this.updateCampaignPanel();
+        
+        const screen = document.getElementById('gameOverScreen');
+        const summary = this.simulation.gameOver;
+        screen.style.display = summary ? 'block' : 'none';
+        if (!summary) return;
+        
+        screen.classList.toggle('won', summary.won);
+        document.getElementById('gameOverTitle').textContent = summary.won ? 'City Connected!' : 'Game Over';
+        document.getElementById('gameOverReason').textContent = summary.reason;
+        const rows = [
+            ['Score (passengers delivered)', summary.score],
+            ...(summary.week !== null ? [['Week', summary.week]] : []),
+            ['Survived', formatGameDuration(summary.survived)],
+            ['Lost trips', summary.lostTrips],
+            ['Stations', summary.stations],
+            ['Lines', summary.lines],
+            ['Trains', summary.trains]
+        ];
+        const table = document.getElementById('gameOverSummary');
+        table.innerHTML = '';
+        for (const [label, value] of rows) {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('td');
+            const valueCell = document.createElement('td');
+            labelCell.textContent = label;
+            valueCell.textContent = value;
+            row.append(labelCell, valueCell);
+            table.appendChild(row);
+        }
+    }
+    
+    /**
+     * Show the campaign panel during a campaign, with a button for each upgrade while one is waiting to be chosen
+     * Week, stock and progress are kept current by updateHUD()
+     */
+    updateCampaignPanel() {
+        const campaign = this.simulation.campaign;
+        document.getElementById('campaignPanel').style.display = campaign ? 'block' : 'none';
+        
+        const rewards = document.getElementById('campaignRewards');
+        rewards.innerHTML = '';
+        if (!campaign || campaign.pendingRewards === 0) return;
+        
+        const note = document.createElement('div');
+        note.className = 'hud-detail';
+        note.textContent = campaign.pendingRewards > 1
+            ? `Choose an upgrade (${campaign.pendingRewards} waiting):`
+            : 'Choose an upgrade:';
+        rewards.appendChild(note);
+        for (const [reward, name] of Object.entries(CAMPAIGN_REWARDS)) {
+            const button = document.createElement('button');
+            button.className = 'reward-button';
+            button.textContent = name;
+            button.addEventListener('click', () => campaign.chooseReward(reward));
+            rewards.appendChild(button);
+        }
+    }
+    
+    /**
+     * Check if the timetable panel is showing
+     */
+    isTimetableVisible() {
+        return document.getElementById('timetablePanel').style.display !== 'none';
+    }
+    
+    /**
+     * Rebuild the timetable panel: schedule controls and departures for every line
+     */
+    updateTimetablePanel() {
+        if (!this.isTimetableVisible()) return;
+        
+        const list = document.getElementById('timetableList');
+        list.innerHTML = '';
+        this.timetableDepartureLists.clear();
+        
+        if (this.simulation.lines.length === 0) {
+            const note = document.createElement('div');
+            note.className = 'empty-note';
+            note.textContent = 'No lines to schedule yet.';
+            list.appendChild(note);
+            return;
+        }
+        
+        for (const line of this.simulation.lines) {
+            const section = document.createElement('div');
+            section.className = 'timetable-line';
+            
+            const departures = document.createElement('div');
+            this.timetableDepartureLists.set(line.id, departures);
+            
+            section.append(this.createScheduleControls(line), departures);
+            list.appendChild(section);
+            this.updateTimetableDepartures(line);
+        }
+    }
+    
+    /**
+     * Create the schedule mode and interval controls for one line
+     */
+    createScheduleControls(line) {
+        const row = document.createElement('div');
+        row.className = 'line-row';
+        
+        const name = document.createElement('strong');
+        name.textContent = line.name;
+        name.style.color = line.color;
+        
+        const modeSelect = document.createElement('select');
+        modeSelect.title = 'How departures are scheduled';
+        for (const [mode, label] of Object.entries(SCHEDULE_MODES)) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            modeSelect.appendChild(option);
+        }
+        modeSelect.value = line.schedule.mode;
+        
+        const intervalInput = document.createElement('input');
+        intervalInput.type = 'number';
+        intervalInput.min = '1';
+        intervalInput.value = String(line.schedule.interval / 1000);
+        intervalInput.title = 'Seconds between departures';
+        intervalInput.disabled = line.schedule.mode === 'none';
+        
+        const apply = () => {
+            const interval = parseFloat(intervalInput.value) * 1000;
+            if (!this.history.execute(lineScheduleCommand(this.simulation, line, { mode: modeSelect.value, interval }))) {
+                modeSelect.value = line.schedule.mode; // Reject invalid intervals
+                intervalInput.value = String(line.schedule.interval / 1000);
+            }
+        };
+        modeSelect.addEventListener('change', apply);
+        intervalInput.addEventListener('change', apply);
+        
+        const unit = document.createElement('span');
+        unit.textContent = 's';
+        
+        row.append(name, modeSelect, intervalInput, unit);
+        return row;
+    }
+    
+    /**
+     * List a line's recent departures (planned, actual, delay) and how late each of its trains is running
+     */
+    updateTimetableDepartures(line) {
+        const container = this.timetableDepartureLists.get(line.id);
+        if (!container || !this.isTimetableVisible()) return;
+        
+        container.innerHTML = '';
+        if (line.schedule.mode === 'none') {
+            const note = document.createElement('div');
+            note.className = 'empty-note';
+            note.textContent = 'Trains leave as soon as boarding is done.';
+            container.appendChild(note);
+            return;
+        }
+        
+        const timetable = this.simulation.timetable;
+        const table = document.createElement('table');
+        table.className = 'timetable-departures';
+        const rows = [['Train', 'From', 'Planned', 'Actual', 'Delay']];
+        for (const departure of timetable.getLineDepartures(line.id, 8)) {
+            const station = this.simulation.stations.find(s => s.id === departure.stationId);
+            rows.push([
+                `#${departure.trainId}`,
+                station ? station.name : `Station ${departure.stationId}`,
+                formatClockTime(departure.planned),
+                formatClockTime(departure.actual),
+                this.formatDelay(timetable.getDelay(departure))
+            ]);
+        }
+        rows.forEach((cells, index) => {
+            const row = document.createElement('tr');
+            for (const text of cells) {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            table.appendChild(row);
+        });
+        
+        const summary = document.createElement('div');
+        summary.className = 'empty-note';
+        summary.textContent = line.trainIds.map(trainId => {
+            const train = this.simulation.trains.find(t => t.id === trainId);
+            const last = train && timetable.getLastDeparture(train);
+            return `#${trainId} ${last ? this.formatDelay(timetable.getDelay(last)) : 'not yet departed'}`;
+        }).join(' · ');
+        
+        container.append(table, summary);
+    }
+    
+    /**
+     * Describe a departure delay (ms) for the timetable view
+     */
+    formatDelay(delay) {
+        return delay < 1000 ? 'on time' : `+${(delay / 1000).toFixed(1)}s late`;
+    }
+    
+    /**
+     * Set up the edit history panel and undo/redo buttons
+     */
+    setupHistoryPanel() {
+        document.getElementById('undoButton').addEventListener('click', () => this.undo());
+        document.getElementById('redoButton').addEventListener('click', () => this.redo());
+        
+        this.history.on('changed', () => this.updateHistoryPanel());
+        // Edits to a previous network can't be undone into a newly opened one, nor across a campaign's
+        // stock and free construction
+        this.simulation.on('networkLoaded', () => this.history.clear());
+        this.simulation.on('networkCleared', () => this.history.clear());
+        this.simulation.on('modeChanged', ({ mode, previous }) => {
+            if (mode === 'campaign' || previous === 'campaign') {
+                this.history.clear();
+            }
+        });
+        this.updateHistoryPanel();
+    }
+    
+    /**
+     * Rebuild the history list, marking undone edits and the current position
+     */
+    updateHistoryPanel() {
+        document.getElementById('undoButton').disabled = !this.history.canUndo();
+        document.getElementById('redoButton').disabled = !this.history.canRedo();
+        
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+        
+        const entries = [{ label: 'Start', applied: true }, ...this.history.getEntries()];
+        const position = this.history.undoStack.length;
+        entries.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'history-entry';
+            if (!entry.applied) row.classList.add('undone');
+            if (index === position) row.classList.add('current');
+            row.textContent = entry.label;
+            row.title = 'Click to go back to this point';
+            row.addEventListener('click', () => {
+                this.history.goTo(index);
+                this.dropStaleSelections();
+            });
+            list.appendChild(row);
+        });
+    }
+    
+    /**
+     * Undo the most recent edit
+     */
+    undo() {
+        const command = this.history.undo();
+        this.dropStaleSelections();
+        this.updateStatus(command ? `Undid: ${command.label}` : 'Nothing to undo');
+    }
+    
+    /**
+     * Redo the most recently undone edit
+     * An edit that can't be redone has already said why (e.g. not enough money), so that message stays
+     */
+    redo() {
+        const command = this.history.redo();
+        this.dropStaleSelections();
+        if (command) {
+            this.updateStatus(`Redid: ${command.label}`);
+        } else if (!this.history.canRedo()) {
+            this.updateStatus('Nothing to redo');
+        }
+    }
+    
+    /**
+     * Forget selections of stations and tracks that an undo or redo removed, refresh the rest
+     */
+    dropStaleSelections() {
+        const stations = this.simulation.stations;
+        if (this.selectedStation && !stations.includes(this.selectedStation)) {
+            this.selectedStation = null;
+            this.trackWaypoints = [];
+        }
+        if (this.hoveredStation && !stations.includes(this.hoveredStation)) {
+            this.hoveredStation = null;
+        }
+        this.routeStops = this.routeStops.filter(stop => stations.includes(stop));
+        
+        if (this.settingsSelectedStation && !stations.includes(this.settingsSelectedStation)) {
+            this.hideStationSettings();
+        } else {
+            this.updateStationSettingsPanel();
+        }
+        if (this.settingsSelectedTrack && !this.simulation.tracks.includes(this.settingsSelectedTrack)) {
+            this.hideTrackSettings();
+        } else {
+            this.updateTrackSettingsPanel();
+        }
+    }
+    
     /**
      * Switch to a different tool
      */
     setTool(toolName) {
         this.currentTool = toolName;
         this.selectedStation = null;
+        this.trackWaypoints = [];
+        this.routeStops = [];
         this.hideStationSettings(); // Hide settings when switching tools
+        this.hideTrackSettings();
         this.updateToolButtons();
         this.updateStatus();
     }
@@ -159,6 +983,37 @@ export class UIManager {
      * Handle keyboard events
      */
     handleKeyboard(event) {
+        // Leave typing in panel inputs alone
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
+            return;
+        }
+        
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+            event.preventDefault();
+            this.saveNetwork();
+            return;
+        }
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'o') {
+            event.preventDefault();
+            document.getElementById('openNetworkFile').click();
+            return;
+        }
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'y') {
+            event.preventDefault();
+            this.redo();
+            return;
+        }
+        
         switch (event.key) {
             case '1':
                 this.setTool('station');
@@ -169,8 +1024,33 @@ export class UIManager {
             case '3':
                 this.setTool('train');
                 break;
+            case 'Enter':
+                if (this.currentTool === 'train') {
+                    this.finishRoute();
+                }
+                break;
+            case 'Backspace':
+                if (this.currentTool === 'train' && this.routeStops.length > 0) {
+                    event.preventDefault();
+                    this.routeStops.pop();
+                    this.updateStatus();
+                } else if (this.currentTool === 'track' && this.trackWaypoints.length > 0) {
+                    event.preventDefault();
+                    this.trackWaypoints.pop();
+                    this.updateStatus();
+                }
+                break;
+            case 'c':
+            case 'C':
+                if (this.currentTool === 'track') {
+                    this.curvedTracks = !this.curvedTracks;
+                    this.updateStatus();
+                }
+                break;
             case 'Escape':
                 this.selectedStation = null;
+                this.trackWaypoints = [];
+                this.routeStops = [];
                 this.updateStatus();
                 break;
         }
@@ -191,10 +1071,17 @@ export class UIManager {
         // Hide settings panel when clicking empty space
         this.hideStationSettings();
         
+        // Campaign cities grow by themselves
+        if (this.simulation.mode === 'campaign') {
+            this.updateStatus('Stations appear as the city grows - connect them with the track and train tools');
+            return;
+        }
+        
         // Create new station with default importance
-        const station = new Station(x, y, 3); // Default: Local Stop
-        this.game.addStation(station);
-        this.updateStatus(`${station.name} (${station.getImportanceLabel()}) created`);
+        const station = new Station(x, y, 3, this.simulation.rng); // Default: Local Stop
+        if (this.history.execute(addStationCommand(this.simulation, station))) {
+            this.updateStatus(`${station.name} (${station.getImportanceLabel()}) created`);
+        }
     }
     
     /**
@@ -204,32 +1091,52 @@ export class UIManager {
         const clickedStation = this.findStationNear(x, y, 25);
         
         if (!clickedStation) {
-            this.updateStatus('Click on a station to connect tracks');
+            // While connecting, empty space becomes a bend point of the new track
+            if (this.selectedStation) {
+                this.trackWaypoints.push({ x, y });
+                this.updateStatus();
+                return;
+            }
+            
+            // Clicking a track segment opens its settings
+            const clickedTrack = this.findTrackNear(x, y, 8);
+            if (clickedTrack) {
+                this.showTrackSettings(clickedTrack);
+            } else {
+                this.hideTrackSettings();
+                this.updateStatus('Click on a station to connect tracks, or on a track to edit it');
+            }
             return;
         }
         
+        this.hideTrackSettings();
+        
         if (!this.selectedStation) {
             // First station selected
             this.selectedStation = clickedStation;
-            this.updateStatus(`Station ${clickedStation.id} selected. Click another station to connect.`);
+            this.updateStatus(`Station ${clickedStation.id} selected. Click another station to connect, empty space to add a bend point.`);
         } else if (this.selectedStation.id === clickedStation.id) {
             // Same station clicked - deselect
             this.selectedStation = null;
+            this.trackWaypoints = [];
             this.updateStatus('Station deselected. Click on a station to start connecting.');
         } else {
             // Second station selected - create track
-            const success = this.game.addTrack(this.selectedStation.id, clickedStation.id);
+            const options = { waypoints: this.trackWaypoints, smooth: this.curvedTracks };
+            const success = this.history.execute(addTrackCommand(this.simulation, this.selectedStation.id, clickedStation.id, options));
             if (success) {
                 this.updateStatus(`Track created between Station ${this.selectedStation.id} and Station ${clickedStation.id}`);
-            } else {
-                this.updateStatus('Track already exists between these stations');
+            } else if (this.simulation.findTrack(this.selectedStation.id, clickedStation.id)) {
+                this.updateStatus('Track already exists between these stations - click it to change its mode');
             }
             this.selectedStation = null;
+            this.trackWaypoints = [];
         }
     }
     
     /**
-     * Handle train tool clicks
+     * Handle train tool clicks - builds a route one connected station at a time
+     * Finish with Enter or double-click; clicking the first station again closes a loop
      */
     handleTrainClick(x, y) {
         const clickedStation = this.findStationNear(x, y, 25);
@@ -239,31 +1146,76 @@ export class UIManager {
             return;
         }
         
-        if (!this.selectedStation) {
-            // First station selected
-            this.selectedStation = clickedStation;
-            this.updateStatus(`Origin station ${clickedStation.id} selected. Click destination station.`);
-        } else if (this.selectedStation.id === clickedStation.id) {
-            // Same station clicked - deselect
-            this.selectedStation = null;
-            this.updateStatus('Origin deselected. Click on a station to start train route.');
-        } else {
-            // Second station selected - create train
-            const success = this.game.addTrain(this.selectedStation.id, clickedStation.id);
-            if (success) {
-                this.updateStatus(`Train created from Station ${this.selectedStation.id} to Station ${clickedStation.id}`);
-            } else {
-                this.updateStatus('Cannot create train: no path exists between stations');
-            }
-            this.selectedStation = null;
+        if (this.routeStops.length === 0) {
+            // First stop selected
+            this.routeStops.push(clickedStation);
+            this.updateStatus();
+            return;
+        }
+        
+        const lastStop = this.routeStops[this.routeStops.length - 1];
+        if (clickedStation.id === lastStop.id) {
+            // Repeated click on the last stop (e.g. the first half of a double-click)
+            return;
+        }
+        
+        const track = this.simulation.findTrack(lastStop.id, clickedStation.id);
+        if (!track) {
+            this.updateStatus(`No track between Station ${lastStop.id} and Station ${clickedStation.id}`);
+            return;
+        }
+        if (!track.allows(lastStop.id, clickedStation.id)) {
+            this.updateStatus(`Track between Station ${lastStop.id} and Station ${clickedStation.id} is one-way towards Station ${lastStop.id}`);
+            return;
+        }
+        
+        if (clickedStation.id === this.routeStops[0].id && this.routeStops.length >= 3) {
+            // Back at the start - close the loop
+            this.finishRoute(true);
+            return;
+        }
+        
+        if (this.routeStops.some(stop => stop.id === clickedStation.id)) {
+            this.updateStatus(`Station ${clickedStation.id} is already on this route`);
+            return;
+        }
+        
+        this.routeStops.push(clickedStation);
+        this.updateStatus();
+    }
+    
+    /**
+     * Create a line from the stations picked with the train tool
+     */
+    finishRoute(loop = false) {
+        if (this.routeStops.length < 2) {
+            this.updateStatus('Pick at least two connected stations to create a train');
+            return;
         }
+        
+        const stops = this.routeStops.map(stop => stop.id);
+        const line = this.history.execute(addLineCommand(this.simulation, stops, { loop }));
+        if (line) {
+            const kind = loop ? 'loop' : 'line';
+            this.updateStatus(`${line.name} created as a ${kind} through ${stops.length} stations`);
+        } else if (!this.simulation.isValidRoute(stops, loop)) {
+            this.updateStatus('Cannot create train: route is not connected by tracks (one-way tracks can only be used by loops)');
+        }
+        this.routeStops = [];
+    }
+    
+    /**
+     * Get the stations picked so far with the train tool
+     */
+    getRouteStops() {
+        return this.routeStops;
     }
     
     /**
      * Find station near given coordinates
      */
     findStationNear(x, y, defaultRadius = 25) {
-        for (const station of this.game.stations) {
+        for (const station of this.simulation.stations) {
             const distance = stationDistance({ x, y }, station);
             const stationSize = station.getSize();
             const clickRadius = Math.max(defaultRadius, stationSize + 5); // Use station size or default
@@ -274,6 +1226,22 @@ export class UIManager {
         return null;
     }
     
+    /**
+     * Find the closest track within a radius of given coordinates
+     */
+    findTrackNear(x, y, radius = 8) {
+        let closest = null;
+        let closestDistance = radius;
+        for (const track of this.simulation.tracks) {
+            const distance = track.distanceTo(x, y);
+            if (distance <= closestDistance) {
+                closest = track;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+    
     /**
      * Update cursor based on current tool and hover state
      */
@@ -309,16 +1277,20 @@ export class UIManager {
                 break;
             case 'track':
                 if (this.selectedStation) {
-                    status = `Station ${this.selectedStation.id} selected. Click another station to connect.`;
+                    const bends = this.trackWaypoints.length;
+                    status = `Station ${this.selectedStation.id} selected${bends > 0 ? ` with ${bends} bend point${bends === 1 ? '' : 's'}` : ''}. ` +
+                        `Click another station to connect, empty space to add a bend point | ` +
+                        `C: ${this.curvedTracks ? 'curved' : 'straight'} track, Backspace removes a bend point`;
                 } else {
-                    status = 'Click on a station to start connecting tracks';
+                    status = 'Click on a station to start connecting tracks, or on a track to edit it';
                 }
                 break;
             case 'train':
-                if (this.selectedStation) {
-                    status = `Origin station ${this.selectedStation.id} selected. Click destination station.`;
+                if (this.routeStops.length > 0) {
+                    const route = this.routeStops.map(stop => stop.id).join(' → ');
+                    status = `Route ${route} | Click next connected station, Enter or double-click to finish, click the first station to close a loop, Backspace to undo a stop`;
                 } else {
-                    status = 'Click origin station, then destination station to create train';
+                    status = 'Click stations along connected tracks to draw a train route';
                 }
                 break;
         }
@@ -332,8 +1304,50 @@ export class UIManager {
     updateHUD(stats) {
         document.getElementById('totalPassengers').textContent = stats.totalPassengers;
         document.getElementById('avgWaitTime').textContent = `${stats.avgWaitTime.toFixed(1)}s`;
+        document.getElementById('lostTrips').textContent = this.formatLostTrips(stats.lostTrips);
+        const balance = document.getElementById('balance');
+        balance.textContent = formatMoney(stats.balance);
+        balance.style.color = stats.balance < 0 ? '#e74c3c' : '';
+        const { fares, construction, operations, profit, operatingCost } = stats.money;
+        document.getElementById('moneyBreakdown').textContent = [
+            `Fares +${formatMoney(fares)}`,
+            `Building −${formatMoney(construction)}`,
+            `Running −${formatMoney(operations)} (${formatMoney(operatingCost)}/min)`,
+            `${profit < 0 ? 'Loss' : 'Profit'} ${formatMoney(Math.abs(profit))}`
+        ].join(' · ');
+        document.getElementById('passengersDelivered').textContent = stats.mode !== 'sandbox'
+            ? `${stats.passengersDelivered} (score ${stats.score})`
+            : stats.passengersDelivered;
+        document.getElementById('avgTransfers').textContent = stats.avgTransfers.toFixed(2);
         document.getElementById('stationCount').textContent = stats.stationCount;
         document.getElementById('trainCount').textContent = stats.trainCount;
+        document.getElementById('seedValue').textContent = stats.seed;
+        document.getElementById('timeOfDay').textContent =
+            `Day ${stats.day}, ${formatTimeOfDay(stats.hourOfDay)} (demand ${stats.demand.toFixed(1)}×)`;
+        
+        if (stats.campaign) {
+            const { week, nextWeekIn, stock, target } = stats.campaign;
+            document.getElementById('campaignWeek').textContent = `Week ${week} (next in ${formatGameDuration(nextWeekIn)})`;
+            document.getElementById('campaignStock').textContent = `${stock.tracks} tracks · ${stock.trains} trains`;
+            document.getElementById('campaignProgress').textContent =
+                `${stats.score} / ${target} delivered (${Math.floor(stats.score / target * 100)}%)`;
+        }
+        
+        // The open station's own count changes as its passengers give up
+        if (this.settingsSelectedStation) {
+            const lost = this.simulation.getLostTrips(this.settingsSelectedStation.id);
+            document.getElementById('stationLostTrips').textContent = `Lost trips: ${this.formatLostTrips(lost)}`;
+        }
+    }
+    
+    /**
+     * Format lost trip counts as a total with the reasons that occurred, e.g. "5 (3 train full, 2 too slow)"
+     */
+    formatLostTrips(lost) {
+        const reasons = Object.entries(LOST_REASONS)
+            .filter(([reason]) => lost[reason] > 0)
+            .map(([reason, name]) => `${lost[reason]} ${name.toLowerCase()}`);
+        return reasons.length > 0 ? `${lost.total} (${reasons.join(', ')})` : `${lost.total}`;
     }
     
     /**
@@ -350,6 +1364,13 @@ export class UIManager {
         return this.selectedStation;
     }
     
+    /**
+     * Get the bend points placed so far for the track being drawn
+     */
+    getTrackWaypoints() {
+        return this.trackWaypoints;
+    }
+    
     /**
      * Get currently hovered station
      */
@@ -357,12 +1378,20 @@ export class UIManager {
         return this.hoveredStation;
     }
     
+    /**
+     * Check if the passenger flow heatmap is showing
+     */
+    isHeatmapVisible() {
+        return this.heatmapVisible;
+    }
+    
     /**
      * Check if a station is selected
      */
     isStationSelected(station) {
         return (this.selectedStation && this.selectedStation.id === station.id) ||
-               (this.settingsSelectedStation && this.settingsSelectedStation.id === station.id);
+               (this.settingsSelectedStation && this.settingsSelectedStation.id === station.id) ||
+               this.routeStops.some(stop => stop.id === station.id);
     }
     
     /**
@@ -384,6 +1413,57 @@ export class UIManager {
         this.updateStatus();
     }
     
+    /**
+     * Get the track shown in the track settings panel
+     */
+    getSelectedTrack() {
+        return this.settingsSelectedTrack;
+    }
+    
+    /**
+     * Show track settings panel
+     */
+    showTrackSettings(track) {
+        this.settingsSelectedTrack = track;
+        this.updateTrackSettingsPanel();
+        document.getElementById('trackSettings').style.display = 'block';
+        this.updateStatus(`Settings for track between Station ${track.from} and Station ${track.to}`);
+    }
+    
+    /**
+     * Hide track settings panel
+     */
+    hideTrackSettings() {
+        if (!this.settingsSelectedTrack) return;
+        this.settingsSelectedTrack = null;
+        document.getElementById('trackSettings').style.display = 'none';
+        this.updateStatus();
+    }
+    
+    /**
+     * Update track settings panel content
+     */
+    updateTrackSettingsPanel() {
+        if (!this.settingsSelectedTrack) return;
+        
+        const track = this.settingsSelectedTrack;
+        const lines = this.simulation.lines.filter(line =>
+            line.getSegments().some(([a, b]) => track.connects(a, b))
+        );
+        const arrow = track.mode === 'oneway' ? '→' : '↔';
+        document.getElementById('trackName').textContent =
+            `Station ${track.from} ${arrow} Station ${track.to} (${Math.round(track.length)} px)`;
+        document.getElementById('trackModeSelect').value = track.mode;
+        
+        const smoothCheckbox = document.getElementById('trackSmooth');
+        smoothCheckbox.checked = track.smooth;
+        smoothCheckbox.disabled = track.waypoints.length === 0; // A straight track has nothing to curve
+        document.getElementById('trackSpeedSelect').value = track.maxSpeed;
+        document.getElementById('trackLines').textContent = lines.length > 0
+            ? `Used by: ${lines.map(l => l.name).join(', ')}`
+            : 'Not used by any line';
+    }
+    
     /**
      * Update station settings panel content
      */
@@ -393,5 +1473,6 @@ export class UIManager {
         const station = this.settingsSelectedStation;
         document.getElementById('stationName').textContent = station.name;
         document.getElementById('importanceSelect').value = station.importance.toString();
+        document.getElementById('roleSelect').value = station.role;
     }
 } 
\ No newline at end of file